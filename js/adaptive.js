@@ -0,0 +1,180 @@
+/**
+ * adaptive.js
+ * Auto inference rate (opts.mpAuto): picks MediaPipe's rate and model
+ * complexity to hold the render loop at opts.mpTargetFPS and every
+ * inference pass within opts.mpLatencyMs.
+ *
+ * tracking.js reports how long each inference pass took (noteSend) and asks
+ * for the rate and model to use (inferenceRate, modelComplexity); the
+ * render FPS comes from ui.js (renderFPS). Once per EVAL_MS:
+ *  - over budget (render below target, or passes slower than the
+ *    budget): the full model goes back to lite first, then the rate
+ *    steps down;
+ *  - with headroom: the rate steps up, and at the top rate the full
+ *    model is tried if passes are fast enough to afford it.
+ * On the main thread, the rate is also capped to use at most MAX_DUTY of
+ * it. In the inference worker (setOffThread) there is no such cap, and
+ * the model is fixed: the worker's Tasks landmarker has only its full
+ * model (see offthread.js), so only the rate adapts. While no hand is detected the loop idles
+ * at IDLE_FPS, and goes back to the chosen rate once one appears — but
+ * not during a take or a calibration, where a lost hand must be picked
+ * up again within the dropout grace.
+ *
+ * Every decision is announced as 'change' on adaptEvents (settings.js
+ * shows it). No DOM access here.
+ */
+
+import { opts }      from './config.js';
+import { state }     from './state.js';
+import { renderFPS } from './ui.js';
+
+// ─── Constants ──────────────────────────────────────────────────────
+const MIN_FPS    = 5;
+const MAX_FPS    = 30;
+const IDLE_FPS   = 4;
+const EVAL_MS    = 1000;
+const SEND_EMA   = 0.2;
+const MAX_DUTY   = 0.5;  // share of the main thread inference may take
+const FPS_SLACK  = 3;    // render FPS this far under target is still on target
+const HEADROOM   = 0.7;  // passes under this share of the budget leave room
+const FULL_COST  = 2.2;  // full model pass time / lite pass time, roughly
+const SETTLE_MS  = 3000; // ignore passes this long after a model switch
+const RETRY_MS   = 30000; // wait before trying the full model again
+
+export const COMPLEXITY_NAMES = ['LITE', 'FULL'];
+
+// ─── State ──────────────────────────────────────────────────────────
+/** The current decision: rate, model, and why */
+export const decision = {
+  fps:        opts.mpFPS,
+  complexity: 0,
+  idle:       false,
+  reason:     '',
+  sendMs:     0, // smoothed inference pass duration
+  renderFPS:  0, // render FPS at the last evaluation
+};
+
+/** Dispatches 'change' whenever decision changes. */
+export const adaptEvents = new EventTarget();
+
+let _lastEval    = 0;
+let _settleUntil = 0; // performance.now() until which passes are ignored
+let _fullAfter   = 0; // performance.now() after which FULL may be tried
+let _offThread   = false; // inference runs in the worker
+
+function decide(reason) {
+  if (reason === decision.reason) return;
+  decision.reason = reason;
+  adaptEvents.dispatchEvent(new Event('change'));
+}
+
+function setComplexity(c, now) {
+  decision.complexity = c;
+  decision.sendMs     = 0; // the other model's timing does not apply
+  _settleUntil        = now + SETTLE_MS;
+  if (c === 0) _fullAfter = now + RETRY_MS;
+}
+
+// ─── Controller ─────────────────────────────────────────────────────
+function evaluate(now) {
+  const fps    = renderFPS();
+  const ms     = decision.sendMs;
+  const budget = opts.mpLatencyMs;
+  const cap    = _offThread
+    ? MAX_FPS // a pass no longer costs the main thread
+    : Math.max(MIN_FPS, Math.min(MAX_FPS, Math.floor((MAX_DUTY * 1000) / ms)));
+  const slow   = fps > 0 && fps < opts.mpTargetFPS - FPS_SLACK;
+  const late   = ms > budget;
+  decision.renderFPS = fps;
+
+  if (slow || late) {
+    const why = slow ? `render ${fps}fps < ${opts.mpTargetFPS}` : `inference ${Math.round(ms)}ms > ${budget}ms`;
+    if (!_offThread && decision.complexity > 0) {
+      setComplexity(0, now);
+      decide(`${why} → lite model`);
+    } else if (decision.fps > MIN_FPS) {
+      decision.fps = Math.max(MIN_FPS, Math.round(decision.fps * 0.8));
+      decide(`${why} → ${decision.fps}fps`);
+    } else {
+      decide(`${why} · at minimum rate`);
+    }
+  } else if (decision.fps > cap) {
+    decision.fps = cap;
+    decide(`inference ${Math.round(ms)}ms → ${cap}fps keeps the main thread free`);
+  } else if (fps >= opts.mpTargetFPS && ms < budget * HEADROOM) {
+    if (decision.fps < cap) {
+      decision.fps = Math.min(cap, Math.ceil(decision.fps * 1.2));
+      decide(`headroom → ${decision.fps}fps`);
+    } else if (!_offThread && decision.complexity === 0 && now >= _fullAfter
+               && ms * FULL_COST < budget * HEADROOM
+               && (decision.fps * ms * FULL_COST) / 1000 <= MAX_DUTY) {
+      setComplexity(1, now);
+      decide('headroom at top rate → full model');
+    }
+  }
+}
+
+// ─── Public API ─────────────────────────────────────────────────────
+/**
+ * Starts auto mode over from the slider rate and the lite model (the
+ * worker's model stays as it is).
+ * Call when opts.mpAuto is switched on.
+ */
+export function resetAdaptive() {
+  const now = performance.now();
+  decision.fps        = opts.mpFPS;
+  decision.complexity = _offThread ? 1 : 0;
+  decision.sendMs     = 0;
+  _lastEval    = now;
+  _settleUntil = now;
+  _fullAfter   = now + SETTLE_MS;
+  decide(`started at ${decision.fps}fps`);
+}
+
+/** One inference pass of the timed loop took `ms`. */
+export function noteSend(ms) {
+  if (!opts.mpAuto || decision.idle) return;
+  const now = performance.now();
+  if (now < _settleUntil) return;
+
+  decision.sendMs = decision.sendMs ? decision.sendMs + (ms - decision.sendMs) * SEND_EMA : ms;
+  if (now - _lastEval < EVAL_MS) return;
+  _lastEval = now;
+  evaluate(now);
+}
+
+/**
+ * Inference moved into the worker (true) or back to the main thread.
+ * Called by tracking.js whenever its backend changes.
+ * @param {boolean} on
+ */
+export function setOffThread(on) {
+  if (on === _offThread) return;
+  _offThread = on;
+  // The worker only has the full model; the main thread starts over lite
+  setComplexity(on ? 1 : 0, performance.now());
+  if (opts.mpAuto) decide(on ? 'inference moved to the worker' : 'inference back on the main thread');
+}
+
+/** Inference rate to schedule the next pass at, fps. */
+export function inferenceRate() {
+  if (!opts.mpAuto) return opts.mpFPS;
+
+  const idle = !state.detected && !state.isRecording && !state.isCalibrating;
+  if (idle !== decision.idle) {
+    decision.idle = idle;
+    _lastEval     = performance.now(); // judge the resumed rate on fresh passes
+    decide(idle ? `no hand → idle at ${IDLE_FPS}fps`
+                : `${state.detected ? 'hand found' : 'take or calibration'} → ${decision.fps}fps`);
+  }
+  return idle ? IDLE_FPS : decision.fps;
+}
+
+/**
+ * MediaPipe modelComplexity to run with (0 = lite, 1 = full). Always 1
+ * in the worker, which has no other model.
+ */
+export function modelComplexity() {
+  if (_offThread) return 1;
+  return opts.mpAuto ? decision.complexity : 0;
+}
@@ -0,0 +1,101 @@
+/**
+ * bvh.js
+ * BVH (Biovision Hierarchy) writer for recorded takes.
+ *
+ * One file per hand: a Wrist-rooted hierarchy from skeleton.js with
+ * fingertips as End Sites, bone lengths fixed from the recording, and
+ * one MOTION line per recorded frame (root position + ZXY rotations).
+ */
+
+/* global THREE */
+import { LANDMARK_NAMES }                         from './config.js';
+import { ORDER, CHILDREN, buildRest,
+         solvePose, exportPoses }                 from './skeleton.js';
+
+/**
+ * Metres → centimetres, which DCC tools read BVH as. Older takes without
+ * world landmarks export screen units with the same factor.
+ */
+const BVH_SCALE = 100;
+
+const RAD2DEG = 180 / Math.PI;
+
+const num = v => v.toFixed(6);
+
+/** True for landmarks written as JOINTs (everything except fingertips). */
+const isJoint = i => i === ORDER[0] || CHILDREN[i].length > 0;
+
+// ─── HIERARCHY section ───────────────────────────────────────────────
+function writeJoint(out, rest, i, depth, channelOrder) {
+  const pad    = '  '.repeat(depth);
+  const o      = rest.offsets[i];
+  const isRoot = depth === 0;
+
+  out.push(pad + (isRoot ? 'ROOT ' : 'JOINT ') + LANDMARK_NAMES[i]);
+  out.push(pad + '{');
+  out.push(`${pad}  OFFSET ${num(o.x * BVH_SCALE)} ${num(o.y * BVH_SCALE)} ${num(o.z * BVH_SCALE)}`);
+  out.push(pad + (isRoot
+    ? '  CHANNELS 6 Xposition Yposition Zposition Zrotation Xrotation Yrotation'
+    : '  CHANNELS 3 Zrotation Xrotation Yrotation'));
+  channelOrder.push(i);
+
+  for (const c of CHILDREN[i]) {
+    if (isJoint(c)) {
+      writeJoint(out, rest, c, depth + 1, channelOrder);
+    } else {
+      const e = rest.offsets[c];
+      out.push(`${pad}  End Site`);
+      out.push(`${pad}  {`);
+      out.push(`${pad}    OFFSET ${num(e.x * BVH_SCALE)} ${num(e.y * BVH_SCALE)} ${num(e.z * BVH_SCALE)}`);
+      out.push(`${pad}  }`);
+    }
+  }
+
+  out.push(pad + '}');
+}
+
+// ─── Public API ─────────────────────────────────────────────────────
+/**
+ * Serialises one hand of a take as BVH text.
+ * Frames where the hand is missing repeat the nearest earlier pose
+ * (or the first pose, before the hand appears) since BVH has no gaps.
+ *
+ * @param {Array<{t: number, hands: object}>} frames - recFrames.
+ * @param {string} hand - Handedness label ('Left' | 'Right').
+ * @param {number} fps  - Frame rate written as Frame Time.
+ * @returns {string|null} BVH source, or null if the hand never appears.
+ */
+export function buildBVH(frames, hand, fps) {
+  const all   = exportPoses(frames, hand).poses;
+  const poses = all.filter(Boolean);
+  if (!poses.length) return null;
+
+  const rest         = buildRest(poses);
+  const channelOrder = [];
+  const out          = ['HIERARCHY'];
+  writeJoint(out, rest, ORDER[0], 0, channelOrder);
+
+  out.push('MOTION');
+  out.push(`Frames: ${frames.length}`);
+  out.push(`Frame Time: ${num(1 / fps)}`);
+
+  const euler = new THREE.Euler();
+  let   lm    = poses[0];
+
+  for (const p of all) {
+    if (p) lm = p;
+    const { root, local } = solvePose(lm, rest);
+    const values = [
+      num(root.x * BVH_SCALE), num(root.y * BVH_SCALE), num(root.z * BVH_SCALE),
+    ];
+
+    for (const i of channelOrder) {
+      euler.setFromQuaternion(local[i], 'ZXY');
+      values.push(num(euler.z * RAD2DEG), num(euler.x * RAD2DEG), num(euler.y * RAD2DEG));
+    }
+
+    out.push(values.join(' '));
+  }
+
+  return out.join('\n') + '\n';
+}
@@ -0,0 +1,211 @@
+/**
+ * calibration.js
+ * Guided hand calibration: hold a flat palm, spread the fingers, then
+ * make a fist, while an overlay (#calo) shows the step and its progress.
+ * Each step needs STEP_SAMPLES detections of its pose from the hand that
+ * was seen first; the flow gives up after TIMEOUT_SEC.
+ *
+ * Measured from the raw detections (rawBuf / worldBuf):
+ *  - bone lengths and palm width — medians over the flat and spread
+ *    steps, while every finger is straight;
+ *  - depth response — the factor that gives MediaPipe's relative z the
+ *    same scale as x and y, relative to the metric pose. Least squares
+ *    over all three steps; the fist contributes most of the depth.
+ * The result is saved as a named profile (profiles.js) and made active.
+ */
+
+import { NJ, HANDS, FINGERS }         from './config.js';
+import { state }                      from './state.js';
+import { rawBuf, worldBuf, rawSeq }   from './smoothing.js';
+import { handFeatures }               from './gestures.js';
+import { PARENT }                     from './skeleton.js';
+import { depthFactor, saveProfile }   from './profiles.js';
+
+// ─── Constants ──────────────────────────────────────────────────────
+const STEP_SAMPLES = 20;
+const TIMEOUT_SEC  = 30;
+const POLL_MS      = 30;
+
+const RAD2DEG = 180 / Math.PI;
+
+/**
+ * The poses asked for, in order. `test` gets the lowest and highest
+ * extension of index → pinky (0 = curled, 1 = straight) and the spread
+ * between the index and pinky proximal phalanges in degrees.
+ */
+const STEPS = [
+  { label: 'HOLD A FLAT PALM',    bones: true,  test: (lo, hi, spread) => lo >= 0.8 && spread < 25 },
+  { label: 'SPREAD YOUR FINGERS', bones: true,  test: (lo, hi, spread) => lo >= 0.7 && spread > 35 },
+  { label: 'MAKE A FIST',         bones: false, test: (lo, hi) => hi <= 0.2 },
+];
+
+// ─── State ──────────────────────────────────────────────────────────
+let _run = null; // the calibration in progress, see startCalibration()
+
+// ─── Cached DOM refs ────────────────────────────────────────────────
+let _dom = null;
+
+function getCalDom() {
+  if (_dom) return _dom;
+  const $ = id => document.getElementById(id);
+  _dom = {
+    overlay: $('calo'),
+    step:    $('calo-s'),
+    label:   $('calo-l'),
+    bar:     $('calo-b'),
+    cancel:  $('calo-x'),
+  };
+  _dom.cancel.addEventListener('click', cancelCalibration);
+  return _dom;
+}
+
+// ─── Measurement ────────────────────────────────────────────────────
+const point = (buf, i) => ({ x: buf[i * 3], y: buf[i * 3 + 1], z: buf[i * 3 + 2] });
+const dist  = (buf, i, j) => Math.hypot(
+  buf[i * 3] - buf[j * 3], buf[i * 3 + 1] - buf[j * 3 + 1], buf[i * 3 + 2] - buf[j * 3 + 2]);
+
+/** Angle between the index and pinky proximal phalanges, degrees. */
+function spread(w) {
+  const u = [0, 1, 2].map(c => w[6 * 3 + c] - w[5 * 3 + c]);
+  const v = [0, 1, 2].map(c => w[18 * 3 + c] - w[17 * 3 + c]);
+  const d = Math.hypot(...u) * Math.hypot(...v);
+  if (d < 1e-12) return 0;
+  return Math.acos(Math.max(-1, Math.min(1, (u[0] * v[0] + u[1] * v[1] + u[2] * v[2]) / d))) * RAD2DEG;
+}
+
+/**
+ * Adds the latest detection of the hand to the depth fit: z in
+ * MediaPipe's units against world z in screen units, the screen scale
+ * coming from x (least squares about the centroids).
+ */
+function addDepth(raw, w) {
+  const mean = (buf, c) => {
+    let s = 0;
+    for (let i = 0; i < NJ; i++) s += buf[i * 3 + c];
+    return s / NJ;
+  };
+  const sx = mean(raw, 0), wx = mean(w, 0), sz = mean(raw, 2), wz = mean(w, 2);
+  const depth = depthFactor(); // the factor raw z was recorded with
+
+  let n = 0, d = 0;
+  for (let i = 0; i < NJ; i++) {
+    const ex = w[i * 3] - wx;
+    n += (raw[i * 3] - sx) * ex;
+    d += ex * ex;
+  }
+  if (d < 1e-10) return;
+  const mx = n / d;
+
+  for (let i = 0; i < NJ; i++) {
+    const z = (raw[i * 3 + 2] - sz) / depth;
+    _run.depthNum += z * mx * (w[i * 3 + 2] - wz);
+    _run.depthDen += z * z;
+  }
+}
+
+/** One detection of the locked hand: counts it if it shows the step's pose. */
+function sample() {
+  const hand = _run.hand;
+  const w    = worldBuf[hand];
+  const step = STEPS[_run.step];
+
+  const pts = Array.from({ length: NJ }, (_, i) => point(w, i));
+  const ext = handFeatures(pts).ext.slice(1);
+  if (!step.test(Math.min(...ext), Math.max(...ext), spread(w))) return;
+
+  addDepth(rawBuf[hand], w);
+  if (step.bones) {
+    _run.bones.push(Array.from({ length: NJ }, (_, j) => (j ? dist(w, j, PARENT[j]) : 0)));
+    _run.palm.push(dist(w, 5, 17));
+  }
+  if (++_run.count >= STEP_SAMPLES) {
+    _run.step++;
+    _run.count = 0;
+  }
+}
+
+const median = v => [...v].sort((a, b) => a - b)[v.length >> 1];
+
+/** Profile data from the collected samples. */
+function measurements() {
+  const bones = Array.from({ length: NJ }, (_, j) => (j ? median(_run.bones.map(b => b[j])) : 0));
+  return {
+    bones,
+    palmWidth:  median(_run.palm),
+    handLength: FINGERS[2].reduce((sum, j) => sum + bones[j], 0),
+    depth:      Math.min(Math.max(_run.depthNum / Math.max(_run.depthDen, 1e-12), 0.2), 3),
+  };
+}
+
+// ─── Flow ───────────────────────────────────────────────────────────
+function render() {
+  const d = getCalDom();
+  const s = Math.min(_run.step, STEPS.length - 1);
+  d.step.textContent  = `${s + 1} / ${STEPS.length}`;
+  d.label.textContent = _run.hand ? STEPS[s].label : 'SHOW ONE HAND';
+  d.bar.style.width   = ((_run.step + _run.count / STEP_SAMPLES) / STEPS.length) * 100 + '%';
+}
+
+function finish(ok) {
+  clearInterval(_run.timer);
+  getCalDom().overlay.classList.remove('visible');
+  state.isCalibrating = false;
+
+  const run = _run;
+  _run = null;
+  run.resolve(ok && saveProfile(run.name, measurements()));
+}
+
+function tick() {
+  if ((performance.now() - _run.start) / 1000 > TIMEOUT_SEC) {
+    finish(false);
+    return;
+  }
+
+  _run.hand ??= HANDS.find(h => state.present[h] && state.world[h]) ?? null;
+  const hand = _run.hand;
+  if (hand && state.present[hand] && state.world[hand] && rawSeq[hand] !== _run.seq) {
+    _run.seq = rawSeq[hand];
+    sample();
+  }
+
+  if (_run.step >= STEPS.length) finish(true);
+  else render();
+}
+
+// ─── Public API ─────────────────────────────────────────────────────
+/**
+ * Runs the guided calibration and saves the result as profile `name`.
+ * Not available while recording or playing back a take.
+ *
+ * @param {string} name
+ * @returns {Promise<boolean>} true once the profile is saved and active;
+ *   false if cancelled, timed out or not started.
+ */
+export function startCalibration(name) {
+  if (_run || state.isRecording || state.isPlaying) return Promise.resolve(false);
+
+  return new Promise(resolve => {
+    _run = {
+      name, resolve,
+      hand:     null,
+      seq:      -1,
+      step:     0,
+      count:    0,
+      bones:    [],
+      palm:     [],
+      depthNum: 0,
+      depthDen: 0,
+      start:    performance.now(),
+      timer:    setInterval(tick, POLL_MS),
+    };
+    state.isCalibrating = true;
+    getCalDom().overlay.classList.add('visible');
+    render();
+  });
+}
+
+/** Stops a calibration in progress without saving. */
+export function cancelCalibration() {
+  if (_run) finish(false);
+}
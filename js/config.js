@@ -10,6 +10,16 @@ export const NJ = 21;
 /** Number of bone connections */
 export const NC = 24;
 
+/**
+ * MediaPipe handedness labels — one tracking slot per hand.
+ * Every per-hand buffer (rawBuf, smoothPos, recorded frames) is keyed
+ * by these labels, in this order.
+ */
+export const HANDS = ['Left', 'Right'];
+
+/** Maximum number of simultaneously tracked hands */
+export const MAX_HANDS = HANDS.length;
+
 /**
  * Bone connection pairs [from, to] — indices into the 21 landmarks.
  * Ordered: thumb, index, middle, ring, pinky, palm cross-braces.
@@ -29,6 +39,18 @@ export const CONNECTIONS = [
   [5, 9],  [9, 13], [13, 17],[5, 17],
 ];
 
+/**
+ * Finger chains, thumb → pinky: [MCP, PIP, DIP, Tip]
+ * ([CMC, MCP, IP, Tip] for the thumb), all rooted at the Wrist.
+ */
+export const FINGERS = [
+  [1, 2, 3, 4],     // thumb
+  [5, 6, 7, 8],     // index
+  [9, 10, 11, 12],  // middle
+  [13, 14, 15, 16], // ring
+  [17, 18, 19, 20], // pinky
+];
+
 /** Indices of fingertip landmarks */
 export const TIPS = new Set([4, 8, 12, 16, 20]);
 
@@ -47,9 +69,24 @@ export const LANDMARK_NAMES = [
  * Exported as a plain object so all modules share the same reference.
  */
 export const opts = {
+  /** Smoothing algorithm — key into FILTERS (filters.js): 'lerp' | 'euro' | 'kalman' */
+  filter: 'lerp',
+
   /** Lerp alpha applied each render frame (0.02 = max smooth, 1.0 = raw) */
   smooth: 0.18,
 
+  /** One Euro: cutoff (Hz) when the hand is still — lower = less jitter */
+  euroMinCutoff: 1.5,
+  /** One Euro: cutoff increase per unit/s of speed — higher = less lag */
+  euroBeta: 8,
+  /** One Euro: cutoff (Hz) of the speed estimate itself */
+  euroDCutoff: 1.0,
+
+  /** Kalman: process noise, acceleration std-dev (units/s²) — higher = snappier */
+  kalmanQ: 8,
+  /** Kalman: measurement noise std-dev (world units) — higher = smoother */
+  kalmanR: 0.01,
+
   /** World-space scale factor for landmark positions */
   scale: 1.20,
 
@@ -59,11 +96,88 @@ export const opts = {
   tips:      true,
   particles: true,
   cam:       true,
+  angles:    false, // joint angle HUD (kinematics.js)
 
   /** Effect toggles */
   pulse: true,
   wire:  false,
 
+  /** Learned bone lengths + anatomical joint limits after smoothing (constraints.js) */
+  constrain: true,
+  /** Active hand calibration profile, by name (profiles.js; '' = none) */
+  profile:   '',
+
   /** MediaPipe inference target FPS (independent of render loop) */
   mpFPS: 20,
+  /** Auto rate: rate + model chosen to hold these (adaptive.js) */
+  mpAuto:      false,
+  mpTargetFPS: 50,  // render loop FPS
+  mpLatencyMs: 50,  // duration of one inference pass
+  /** Run inference in a Web Worker when the browser allows (offthread.js) */
+  mpWorker:    true,
+
+  /** Hands-free recording: hold gestureStart to record, gestureStop to end */
+  gestureRec:     false,
+  gestureStart:   'open_palm',
+  gestureStop:    'fist',
+  /** Seconds the start pose must be held (countdown length) */
+  gestureHoldSec: 1.0,
+
+  /** Take length in seconds (0 = until stopped) — record panel buttons */
+  recDuration:     5,
+
+  /** Seconds a take survives with no hand tracked before it is ended */
+  dropoutGraceSec: 0.5,
+
+  /**
+   * What a take samples (recording.js):
+   * 'render'    — the smoothed pose as displayed, up to 30fps on the render loop
+   * 'inference' — every MediaPipe result once, at the time its video frame was sent
+   */
+  captureMode: 'render',
+  /** Inference capture: also keep the unfiltered landmarks (lmRaw / worldRaw) */
+  captureRaw:  false,
+
+  /** Live WebSocket stream of the smoothed pose (streaming.js) */
+  stream:       false,
+  streamUrl:    'ws://localhost:8765',
+  /** 'json' | 'binary' (Float32, see streaming.js for the layout) */
+  streamFormat: 'json',
+  /** Maximum messages per second (also paces OSC bundles) */
+  streamFPS:    30,
+
+  /** OSC bundles through a WebSocket → UDP bridge (osc.js) */
+  osc:          false,
+  oscUrl:       'ws://localhost:8766',
+  /** Address template: {hand} = left | right, {name} = landmark or value */
+  oscAddress:   '/hand/{hand}/{name}',
+  /** Send the 21 per-landmark position messages (not just derived values) */
+  oscLandmarks: true,
+};
+
+/**
+ * Allowed [min, max] of the numeric opts that have a range — the
+ * settings sliders use these, and prefs.js clamps restored values to them.
+ */
+export const OPT_RANGES = {
+  smooth:          [0.02, 1.0],
+  euroMinCutoff:   [0.1, 5],
+  euroBeta:        [0, 40],
+  euroDCutoff:     [0.1, 10],
+  kalmanQ:         [0.5, 50],
+  kalmanR:         [0.001, 0.05],
+  scale:           [0.5, 2.5],
+  mpFPS:           [5, 30],
+  mpTargetFPS:     [30, 60],
+  mpLatencyMs:     [20, 150],
+  gestureHoldSec:  [0.2, 5],
+  recDuration:     [0, 3600],
+  dropoutGraceSec: [0, 3],
+  streamFPS:       [10, 60],
+};
+
+/** Allowed values of the string opts that are one of a fixed set */
+export const OPT_CHOICES = {
+  captureMode:  ['render', 'inference'],
+  streamFormat: ['json', 'binary'],
 };
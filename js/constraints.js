@@ -0,0 +1,325 @@
+/**
+ * constraints.js
+ * Constraint stage between smoothing and everything that reads the live
+ * pose (renderer, kinematics, recording, streaming).
+ *
+ *  - Bone lengths: each hand learns its bone lengths from its first
+ *    CAL_SAMPLES tracked observations (per-bone median of the raw metric
+ *    lengths, so a few bad detections cannot skew them), then keeps them
+ *    fixed: every frame the pose is rebuilt outward from the Wrist along
+ *    its own bone directions. Until then the measured lengths are used.
+ *    With a hand profile active (profiles.js), both hands take its
+ *    lengths instead.
+ *  - Joint limits: index → pinky MCP / PIP / DIP flexion and sideways
+ *    deviation are clamped to anatomical ranges (LIMITS), measured about
+ *    each finger's flexion axis. Thumb joints keep their lengths only —
+ *    their flexion axis turns with the CMC joint and has no fixed
+ *    relation to the palm.
+ *
+ * The solve runs on the metric pose (smoothWorld), where lengths and
+ * angles are undistorted. Each screen-space joint (smoothPos) is then
+ * moved by the same correction, mapped through the frame's world →
+ * screen scale. Hands without world landmarks are left alone.
+ *
+ * Which side of the palm is palmar depends on the hand: it starts from
+ * the handedness label and flips if the fingers keep bending the
+ * "wrong" way (a mislabelled slot), so a wrong guess heals itself.
+ */
+
+import { NJ, HANDS, FINGERS, opts } from './config.js';
+import { state }                    from './state.js';
+import { smoothPos, smoothWorld,
+         worldBuf, rawSeq }         from './smoothing.js';
+import { PARENT, ORDER }            from './skeleton.js';
+import { activeProfile, depthFactor,
+         profileEvents }            from './profiles.js';
+
+// ─── Constants ──────────────────────────────────────────────────────
+/** Observations a hand is measured over (≈1.5s at 20fps) */
+const CAL_SAMPLES = 30;
+
+const DEG = Math.PI / 180;
+
+/**
+ * Joint limits in degrees: flexion [min, max] (negative = hyperextension)
+ * and sideways deviation ±side, relative to the bone before the joint
+ * (the metacarpal for MCP joints).
+ */
+const LIMITS = {
+  mcp: { flex: [-30, 95], side: 35 },
+  pip: { flex: [-5, 115], side: 10 },
+  dip: { flex: [-20, 90], side: 10 },
+};
+
+// Palm landmarks
+const WRIST      = 0;
+const INDEX_MCP  = 5;
+const MIDDLE_MCP = 9;
+const PINKY_MCP  = 17;
+
+/** Limited joint → [limits, finger index], index → pinky */
+const JOINT_LIMITS = new Map(FINGERS.slice(1).flatMap(([mcp, pip, dip], k) => [
+  [mcp, [LIMITS.mcp, k]],
+  [pip, [LIMITS.pip, k]],
+  [dip, [LIMITS.dip, k]],
+]));
+
+/** PIP joints, whose raw flexion tells which side is palmar */
+const PIPS = FINGERS.slice(1).map(f => f[1]);
+
+/** Mean PIP flexion (degrees, EMA) below which the palmar side is flipped */
+const FLIP_BELOW = -20;
+
+// ─── State ──────────────────────────────────────────────────────────
+/**
+ * Learned bone lengths per hand in metres, indexed by the bone's child
+ * landmark (PARENT gives the other end); all 0 until calibrated.
+ * @type {Record<string, Float64Array>}
+ */
+export const boneLengths = Object.fromEntries(HANDS.map(h => [h, new Float64Array(NJ)]));
+
+const _samples  = Object.fromEntries(HANDS.map(h => [h, []]));   // Float64Array(NJ) per observation
+const _seenSeq  = Object.fromEntries(HANDS.map(h => [h, -1]));
+const _palmar   = Object.fromEntries(HANDS.map(h => [h, h === 'Right' ? 1 : -1]));
+const _evidence = Object.fromEntries(HANDS.map(h => [h, 0]));    // EMA of raw PIP flexion, degrees
+
+// ─── Scratch (no allocations per frame) ─────────────────────────────
+const _old  = new Float64Array(NJ * 3); // world pose before the solve
+const _new  = new Float64Array(NJ * 3); // world pose after it
+const _dir  = new Float64Array(NJ * 3); // unit bone direction, by child landmark
+const _axis = new Float64Array(4 * 3);  // flexion axis per finger (index → pinky)
+const _y = new Float64Array(3);
+const _r = new Float64Array(3);
+const _n = new Float64Array(3);
+const _d = new Float64Array(3);
+const _f = new Float64Array(3);
+
+const dot = (a, i, b, j) => a[i] * b[j] + a[i + 1] * b[j + 1] + a[i + 2] * b[j + 2];
+
+function normalize(a, i = 0) {
+  const l = Math.hypot(a[i], a[i + 1], a[i + 2]) || 1;
+  a[i] /= l; a[i + 1] /= l; a[i + 2] /= l;
+  return a;
+}
+
+/** o = a × b, each vector read / written at its own offset. */
+function cross(o, oi, a, ai, b, bi) {
+  const x = a[ai + 1] * b[bi + 2] - a[ai + 2] * b[bi + 1];
+  const y = a[ai + 2] * b[bi]     - a[ai]     * b[bi + 2];
+  const z = a[ai]     * b[bi + 1] - a[ai + 1] * b[bi];
+  o[oi] = x; o[oi + 1] = y; o[oi + 2] = z;
+  return o;
+}
+
+/** Removes the component of a[i..] along unit vector u[j..], renormalises. */
+function orthonormalize(a, i, u, j) {
+  const d = dot(a, i, u, j);
+  a[i] -= u[j] * d; a[i + 1] -= u[j + 1] * d; a[i + 2] -= u[j + 2] * d;
+  return normalize(a, i);
+}
+
+const clamp = (v, lo, hi) => Math.min(Math.max(v, lo), hi);
+
+// ─── Calibration ────────────────────────────────────────────────────
+let _dom         = null;
+let _calText     = '';
+let _fromProfile = false; // boneLengths hold the active profile's
+
+function getCalDom() {
+  if (_dom) return _dom;
+  _dom = { status: document.getElementById('cal-st') };
+  return _dom;
+}
+
+/** Status line under the constraints toggle; only touches the DOM on change. */
+function showCalibration() {
+  const p     = _fromProfile ? activeProfile() : null;
+  const parts = p ? [`PROFILE ${p.name.toUpperCase()} ${(p.handLength * 100).toFixed(1)}cm`] : HANDS.flatMap(hand => {
+    if (boneLengths[hand][1] > 0) {
+      // Hand length: wrist → middle fingertip along the finger
+      const l = FINGERS[2].reduce((sum, j) => sum + boneLengths[hand][j], 0);
+      return [`${hand.toUpperCase()} ${(l * 100).toFixed(1)}cm`];
+    }
+    const n = _samples[hand].length;
+    return n ? [`${hand.toUpperCase()} ${Math.round((n / CAL_SAMPLES) * 100)}%`] : [];
+  });
+  const text = parts.length ? `BONES · ${parts.join(' · ')}` : 'SHOW A HAND TO CALIBRATE';
+  if (text === _calText) return;
+  _calText = text;
+  getCalDom().status.textContent = text;
+}
+
+/** Records the bone lengths of `hand`'s latest observation (worldBuf). */
+function sample(hand) {
+  const w = worldBuf[hand];
+  const s = new Float64Array(NJ);
+  for (let j = 1; j < NJ; j++) {
+    const a = j * 3, b = PARENT[j] * 3;
+    s[j] = Math.hypot(w[a] - w[b], w[a + 1] - w[b + 1], w[a + 2] - w[b + 2]);
+  }
+
+  const all = _samples[hand];
+  all.push(s);
+  if (all.length >= CAL_SAMPLES) {
+    for (let j = 1; j < NJ; j++) {
+      const v = all.map(x => x[j]).sort((a, b) => a - b);
+      boneLengths[hand][j] = v[v.length >> 1];
+    }
+    all.length = 0;
+  }
+  showCalibration();
+}
+
+/** Both hands take the active profile's bone lengths, or learn their own again. */
+function useProfile() {
+  const p = activeProfile();
+  for (const hand of HANDS) {
+    if (p) boneLengths[hand].set(p.bones);
+    else   boneLengths[hand].fill(0);
+    _samples[hand].length = 0;
+  }
+  _fromProfile = !!p;
+  showCalibration();
+}
+
+profileEvents.addEventListener('change', useProfile);
+
+// ─── Solver ─────────────────────────────────────────────────────────
+/**
+ * Clamps unit direction _d (bone after joint `j`) against the joint's
+ * limits, relative to unit direction u (bone before it) at `ui` and the
+ * finger's flexion axis. Returns the unclamped flexion in degrees.
+ */
+function limitJoint(j, u, ui) {
+  const [lim, k] = JOINT_LIMITS.get(j);
+  const s = k * 3;
+
+  orthonormalize(_axis, s, u, ui);
+  cross(_f, 0, _axis, s, u, ui); // flexion direction: axis × u
+
+  const flex = Math.atan2(dot(_d, 0, _f, 0), dot(_d, 0, u, ui)) / DEG;
+  const side = Math.asin(clamp(dot(_d, 0, _axis, s), -1, 1)) / DEG;
+  const th   = clamp(flex, lim.flex[0], lim.flex[1]);
+  const ph   = clamp(side, -lim.side, lim.side);
+  if (th === flex && ph === side) return flex;
+
+  const ct = Math.cos(th * DEG), st = Math.sin(th * DEG);
+  const cp = Math.cos(ph * DEG), sp = Math.sin(ph * DEG);
+  for (let c = 0; c < 3; c++) {
+    _d[c] = cp * (ct * u[ui + c] + st * _f[c]) + sp * _axis[s + c];
+  }
+  return flex;
+}
+
+/**
+ * Constrains one pose in place: `world` (metric) is solved, `pos`
+ * (screen space) follows.
+ *
+ * @param {string} hand
+ * @param {Array<{x: number, y: number, z: number}>} pos
+ * @param {Array<{x: number, y: number, z: number}>} world
+ */
+export function constrainPose(hand, pos, world) {
+  for (let i = 0; i < NJ; i++) {
+    _old[i * 3] = world[i].x; _old[i * 3 + 1] = world[i].y; _old[i * 3 + 2] = world[i].z;
+  }
+
+  // Palm frame: _y along the palm, _r across it towards the index side,
+  // _n out of the palm on its palmar side
+  for (let c = 0; c < 3; c++) {
+    _y[c] = _old[MIDDLE_MCP * 3 + c] - _old[WRIST * 3 + c];
+    _r[c] = _old[INDEX_MCP * 3 + c] - _old[PINKY_MCP * 3 + c];
+  }
+  orthonormalize(_r, 0, normalize(_y), 0);
+  cross(_n, 0, _r, 0, _y, 0);
+  for (let c = 0; c < 3; c++) _n[c] *= _palmar[hand];
+
+  // Rebuild outward from the Wrist (ORDER: parents first)
+  const lengths = boneLengths[hand];
+  let pipFlex = 0;
+  _new[0] = _old[0]; _new[1] = _old[1]; _new[2] = _old[2];
+
+  for (let k = 1; k < ORDER.length; k++) {
+    const j = ORDER[k], p = PARENT[j];
+    const a = j * 3, b = p * 3;
+    for (let c = 0; c < 3; c++) _d[c] = _old[a + c] - _old[b + c];
+    const measured = Math.hypot(_d[0], _d[1], _d[2]);
+    normalize(_d);
+
+    if (JOINT_LIMITS.has(p)) {
+      if (PARENT[p] === WRIST) {
+        // MCP: the finger's flexion axis is metacarpal × palmar direction
+        _f.set(_n);
+        orthonormalize(_f, 0, _dir, b);
+        cross(_axis, JOINT_LIMITS.get(p)[1] * 3, _dir, b, _f, 0);
+      }
+      const flex = limitJoint(p, _dir, b);
+      if (PIPS.includes(p)) pipFlex += flex / PIPS.length;
+    }
+
+    const l = lengths[j] > 0 ? lengths[j] : measured;
+    _dir.set(_d, a);
+    for (let c = 0; c < 3; c++) _new[a + c] = _new[b + c] + _d[c] * l;
+  }
+
+  // Fingers bending backwards on average: the palmar side is the other one
+  _evidence[hand] += (pipFlex - _evidence[hand]) * 0.05;
+  if (_evidence[hand] < FLIP_BELOW) {
+    _palmar[hand]  *= -1;
+    _evidence[hand] = 0;
+  }
+
+  // World → screen scale per axis (least squares about the centroids);
+  // depth as tracking.js maps it
+  let sx = 0, sy = 0, wx = 0, wy = 0;
+  for (let i = 0; i < NJ; i++) {
+    sx += pos[i].x; sy += pos[i].y; wx += _old[i * 3]; wy += _old[i * 3 + 1];
+  }
+  sx /= NJ; sy /= NJ; wx /= NJ; wy /= NJ;
+  let nx = 0, ny = 0, dx = 0, dy = 0;
+  for (let i = 0; i < NJ; i++) {
+    const ex = _old[i * 3] - wx, ey = _old[i * 3 + 1] - wy;
+    nx += (pos[i].x - sx) * ex; dx += ex * ex;
+    ny += (pos[i].y - sy) * ey; dy += ey * ey;
+  }
+  const mx = dx > 1e-10 ? Math.max(nx / dx, 0) : 0;
+  const my = dy > 1e-10 ? Math.max(ny / dy, 0) : 0;
+  const mz = (mx * depthFactor()) / opts.scale;
+
+  for (let i = 0; i < NJ; i++) {
+    const a = i * 3;
+    pos[i].x += (_new[a]     - _old[a])     * mx;
+    pos[i].y += (_new[a + 1] - _old[a + 1]) * my;
+    pos[i].z += (_new[a + 2] - _old[a + 2]) * mz;
+    world[i].x = _new[a]; world[i].y = _new[a + 1]; world[i].z = _new[a + 2];
+  }
+}
+
+// ─── Public API ─────────────────────────────────────────────────────
+/**
+ * Calibration and constraints for every tracked hand, on smoothPos /
+ * smoothWorld. Call once per render frame, after applySmoothing().
+ */
+export function applyConstraints() {
+  for (const hand of HANDS) {
+    if (!state.present[hand] || !state.world[hand]) continue;
+
+    if (!boneLengths[hand][1] && rawSeq[hand] !== _seenSeq[hand]) sample(hand);
+    _seenSeq[hand] = rawSeq[hand];
+
+    if (opts.constrain) constrainPose(hand, smoothPos[hand], smoothWorld[hand]);
+  }
+}
+
+/**
+ * Forgets the bone lengths (learned or from the profile); each hand is
+ * measured again.
+ */
+export function recalibrate() {
+  for (const hand of HANDS) {
+    boneLengths[hand].fill(0);
+    _samples[hand].length = 0;
+  }
+  _fromProfile = false;
+  showCalibration();
+}
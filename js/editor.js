@@ -0,0 +1,107 @@
+/**
+ * editor.js
+ * Take editor in the record panel (✂ EDIT): in / out trim handles on a
+ * timeline, the exported frame rate (or SRC: the captured frames at their
+ * own timestamps) and a speed factor.
+ *
+ * The edit is kept next to the take (recTake.edit, stored with it by
+ * takes.js) and only applied when exporting (retime.js), so it can be
+ * changed at any time without losing frames. Dragging a handle pauses
+ * playback on that pose, to find the first and last useful frame.
+ * Every change is announced as 'edit' on recEvents.
+ */
+
+import { state }                   from './state.js';
+import { recFrames, recTake,
+         recEvents }               from './recording.js';
+import { seekPlayback }            from './playback.js';
+import { DEFAULT_EDIT, editRange } from './retime.js';
+
+// ─── Constants ──────────────────────────────────────────────────────
+const MIN_LENGTH = 0.1; // seconds kept between the handles
+const STEPS      = 1000;
+
+// ─── Cached DOM refs ────────────────────────────────────────────────
+let _dom = null;
+
+function getEdDom() {
+  if (_dom) return _dom;
+  const $ = id => document.getElementById(id);
+  _dom = {
+    sel:    $('edsel'),
+    inR:    $('edin'),
+    outR:   $('edout'),
+    inT:    $('edint'),
+    outT:   $('edoutt'),
+    len:    $('edlen'),
+    info:   $('edinfo'),
+    reset:  $('edreset'),
+    fps:    [...document.querySelectorAll('.edf')],
+    speeds: [...document.querySelectorAll('.edv')],
+  };
+  return _dom;
+}
+
+const duration = () => (recFrames.length ? recFrames[recFrames.length - 1].t : 0);
+
+// ─── Rendering ──────────────────────────────────────────────────────
+function render() {
+  const d      = getEdDom();
+  const e      = recTake.edit ?? DEFAULT_EDIT;
+  const el     = Math.max(duration(), 0.001);
+  const [a, b] = editRange(duration(), e);
+  const len    = (b - a) / e.speed;
+  const full   = a === 0 && e.out === null;
+  const frames = e.fps
+    ? Math.floor(len * e.fps + 1e-6) + 1
+    : recFrames.filter(f => f.t >= a - 1e-6 && f.t <= b + 1e-6).length;
+
+  d.inR.value  = String(Math.round((a / el) * STEPS));
+  d.outR.value = String(Math.round((b / el) * STEPS));
+  d.sel.style.left  = (a / el) * 100 + '%';
+  d.sel.style.width = ((b - a) / el) * 100 + '%';
+
+  d.inT.textContent  = a.toFixed(2) + 's';
+  d.outT.textContent = b.toFixed(2) + 's';
+  d.len.textContent  = `→ ${len.toFixed(2)}s · ${frames} FRAMES`;
+  d.info.textContent = `${full ? 'FULL' : 'TRIMMED'} · ${e.fps ? e.fps + 'FPS' : 'SRC'} · ${e.speed}×`;
+
+  d.fps.forEach(btn => btn.classList.toggle('active', Number(btn.dataset.fps) === e.fps));
+  d.speeds.forEach(btn => btn.classList.toggle('active', Number(btn.dataset.speed) === e.speed));
+}
+
+/** Applies `patch` to the selected take's edit and announces it. */
+function change(patch) {
+  if (!recFrames.length || state.isRecording) return;
+  recTake.edit = { ...DEFAULT_EDIT, ...recTake.edit, ...patch };
+  render();
+  recEvents.dispatchEvent(new Event('edit'));
+}
+
+// ─── Public API ─────────────────────────────────────────────────────
+/** Wires the editor controls; it follows the selected take. */
+export function initEditor() {
+  const d   = getEdDom();
+  const pos = range => (parseFloat(range.value) / STEPS) * duration();
+
+  d.inR.addEventListener('input', () => {
+    const [, b] = editRange(duration(), recTake.edit ?? DEFAULT_EDIT);
+    const t = Math.min(pos(d.inR), b - MIN_LENGTH);
+    change({ in: Math.max(0, +t.toFixed(3)) });
+    seekPlayback(recTake.edit.in);
+  });
+
+  d.outR.addEventListener('input', () => {
+    const { in: a } = recTake.edit ?? DEFAULT_EDIT;
+    const t = Math.max(pos(d.outR), a + MIN_LENGTH);
+    change({ out: t >= duration() ? null : +t.toFixed(3) });
+    seekPlayback(t);
+  });
+
+  d.fps.forEach(btn => btn.addEventListener('click', () => change({ fps: Number(btn.dataset.fps) })));
+  d.speeds.forEach(btn => btn.addEventListener('click', () => change({ speed: Number(btn.dataset.speed) })));
+  d.reset.addEventListener('click', () => change(DEFAULT_EDIT));
+
+  recEvents.addEventListener('take', render);
+  render();
+}
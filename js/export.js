@@ -2,13 +2,136 @@
  * export.js
  * Generates the Blender Python import script and packages
  * everything into a downloadable ZIP file.
+ * Also offers the take as BVH motion capture (see bvh.js), as a
+ * skinned, animated glTF binary (see gltf.js) and as a joint angle
+ * table (see kinematics.js). The ZIP can also carry the landmark time
+ * series as CSV and NumPy arrays (see tabular.js); the user picks its
+ * contents in the modal.
+ *
+ * The modal acts on the selected take (recFrames), or on several takes
+ * at once when opened from the take manager (openExport, takes.js).
+ * Every take is exported as edited in the take editor — trimmed,
+ * retimed and resampled to a uniform frame rate, or kept at its own
+ * timestamps (source timing, see retime.js). Either way the JSON and
+ * README report the rate the take was actually sampled at.
+ * With a hand profile active (profiles.js) its measurements go into the
+ * JSON, and the Blender script's SCALE gives the hand its real size.
+ * Per-frame tracking quality (quality.js) is kept in the JSON, as a CSV
+ * column and a .npy table, so bad frames can be weighted or dropped;
+ * the Blender script can skip them (MIN_QUALITY).
  */
 
-import { LANDMARK_NAMES, TIPS } from './config.js';
-import { recFrames }             from './recording.js';
+import { LANDMARK_NAMES, TIPS,
+         HANDS, FINGERS }        from './config.js';
+import { recFrames, recTake }    from './recording.js';
+import { PARENT, ORDER, BONES }  from './skeleton.js';
+import { buildBVH }              from './bvh.js';
+import { buildGLB }              from './gltf.js';
+import { ANGLE_NAMES, ANGLE_UNITS,
+         anglesFromFlat }        from './kinematics.js';
+import { landmarkCSV, landmarkNPY,
+         timesNPY, qualityNPY }  from './tabular.js';
+import { QUALITY_NAMES,
+         QUALITY_UNITS }         from './quality.js';
+import { retime, sampling,
+         DEFAULT_EDIT }          from './retime.js';
+import { activeProfile,
+         depthFactor }           from './profiles.js';
 
 const $ = id => document.getElementById(id);
 
+/** Handedness labels that appear in at least one recorded frame. */
+function handsInTake(frames) {
+  return HANDS.filter(h => frames.some(f => f.hands[h]));
+}
+
+// ─── Gap filling ────────────────────────────────────────────────────
+/**
+ * Returns a copy of the take with dropout gaps (frames flagged `gap`)
+ * filled in: each hand seen on both sides of a gap gets its numeric
+ * arrays linearly interpolated by time. Gap frames keep their flag so
+ * the dropout stays visible after re-import. Frames outside gaps are
+ * shared, not copied.
+ */
+function fillGaps(frames) {
+  const out = frames.map(f => (f.gap ? { ...f, hands: { ...f.hands } } : f));
+
+  for (let i = 0; i < out.length; i++) {
+    if (!out[i].gap) continue;
+    let j = i;
+    while (j < out.length && out[j].gap) j++;
+
+    const a = out[i - 1];
+    const b = out[j];
+    if (a && b) {
+      for (const hand of HANDS) {
+        const ha = a.hands[hand];
+        const hb = b.hands[hand];
+        if (!ha || !hb) continue;
+
+        for (let k = i; k < j; k++) {
+          const u = (out[k].t - a.t) / Math.max(b.t - a.t, 1e-6);
+          const h = {};
+          for (const [key, va] of Object.entries(ha)) {
+            const vb = hb[key];
+            if (!Array.isArray(va) || !Array.isArray(vb) || va.length !== vb.length) continue;
+            h[key] = va.map((x, n) => +(x + (vb[n] - x) * u).toFixed(5));
+          }
+          out[k].hands[hand] = h;
+        }
+      }
+    }
+    i = j;
+  }
+  return out;
+}
+
+// ─── Real size ───────────────────────────────────────────────────────
+const HAND_CHAIN = [0, ...FINGERS[2]]; // wrist → middle fingertip
+
+function chainLength(pts) {
+  let len = 0;
+  for (let k = 1; k < HAND_CHAIN.length; k++) {
+    const a = HAND_CHAIN[k - 1] * 3, b = HAND_CHAIN[k] * 3;
+    len += Math.hypot(pts[b] - pts[a], pts[b + 1] - pts[a + 1], pts[b + 2] - pts[a + 2]);
+  }
+  return len;
+}
+
+/** Median of the positive values; 0 when there are none. */
+function median(values) {
+  const v = values.filter(x => x > 1e-6).sort((a, b) => a - b);
+  return v.length ? v[v.length >> 1] : 0;
+}
+
+/**
+ * Real size from the hand profile, taken from the metric `world`
+ * landmarks rather than the framing-dependent `lm`:
+ *  - size:  the profile's hand length (wrist → middle fingertip along
+ *           the bones) over its median length in `world` — the user's
+ *           hand against MediaPipe's metric estimate;
+ *  - scale: metres per `lm` unit — size × the median world / lm hand
+ *           length ratio, the conversion the script's world space uses
+ *           for travel.
+ * Takes without world landmarks fall back to the profile's length over
+ * the median `lm` length for scale. Both 1.0 without a profile.
+ */
+function profileScale(frames, profile) {
+  if (!profile) return { size: 1.0, scale: 1.0 };
+  const hands = frames.flatMap(f => Object.values(f.hands));
+  const world = median(hands.filter(h => h.world).map(h => chainLength(h.world)));
+
+  if (!world) {
+    const lm = median(hands.map(h => chainLength(h.lm)));
+    return { size: 1.0, scale: lm ? profile.handLength / lm : 1.0 };
+  }
+  const size  = profile.handLength / world;
+  const ratio = median(hands
+    .filter(h => h.world && chainLength(h.lm) > 1e-6)
+    .map(h => chainLength(h.world) / chainLength(h.lm)));
+  return { size, scale: size * (ratio || 1.0) };
+}
+
 // ─── Blender script generator ────────────────────────────────────────
 /**
  * Path resolution order (in the generated .py):
@@ -19,11 +142,21 @@ const $ = id => document.getElementById(id);
  *  5. User Downloads folder
  *
  * @param {string} jsonFilename
+ * @param {object|null} profile - Active hand profile; sets SCALE and
+ *   HAND_SIZE from `real` instead of 1.0.
+ * @param {{size: number, scale: number}} real - See profileScale().
  * @returns {string} Python source
  */
-function buildBlenderScript(jsonFilename) {
+function buildBlenderScript(jsonFilename, profile, real) {
   const namesLiteral = JSON.stringify(LANDMARK_NAMES);
   const tipsLiteral  = [...TIPS].join(', ');
+  const profileName  = profile?.name.replace(/[^\w .-]+/g, '_');
+  const scaleLine    = profile
+    ? `SCALE      = ${+real.scale.toFixed(5)}  # Real size from hand profile "${profileName}" (used when AUTO_FIT = False)`
+    : 'SCALE      = 1.0   # Manual uniform scale (used when AUTO_FIT = False)';
+  const sizeLine     = profile
+    ? `HAND_SIZE  = ${+real.size.toFixed(5)}  # World space: hand profile "${profileName}" over the tracked hand size`
+    : 'HAND_SIZE  = 1.0   # World space: size factor (1.0 = as tracked)';
 
   const lines = [
     '# =================================================================',
@@ -32,8 +165,9 @@ function buildBlenderScript(jsonFilename) {
     '# =================================================================',
     'import bpy',
     'import json',
+    'import math',
     'import os',
-    'from mathutils import Vector',
+    'from mathutils import Matrix, Vector',
     '',
     '',
     '# ── 1. MANUAL OVERRIDE ───────────────────────────────────────────',
@@ -93,18 +227,56 @@ function buildBlenderScript(jsonFilename) {
     '',
     '# ─────────────────────────────────────────────────────────────────',
     '# ── Configuration ────────────────────────────────────────────────',
-    'SCALE      = 1.0   # Manual uniform scale (used when AUTO_FIT = False)',
+    'SPACE      = "auto"  # "world": true size in metres (no fitting needed)',
+    '                     # "lm":    screen space, sized by SCALE / AUTO_FIT',
+    '                     # "auto":  "world" when the export contains it',
+    scaleLine,
+    sizeLine,
     'AUTO_FIT   = True  # Auto-scale data to match your rig (recommended)',
     'RIG_NAME   = ""    # Armature object name in Blender (e.g. "HandRig")',
     'WRIST_BONE = ""    # Wrist bone name       (e.g. "DEF-hand")',
     'TIP_BONE   = ""    # Middle fingertip bone (e.g. "DEF-f_middle.01_master")',
     '# Leave RIG_NAME empty to use manual SCALE + auto-center on wrist.',
     '',
+    'MIN_QUALITY = 0.0  # Skip hands whose frame quality (0–1) is lower: no key, Blender interpolates',
+    '',
+    'ARMATURE   = True  # Build a keyed armature per hand (HandRig.L / HandRig.R)',
+    'EMPTIES    = False # Also create the 21 keyframed Empties per hand',
+    '',
+    '# Retarget: with RIG_NAME set and BONE_MAP filled in, the HandRig motion',
+    '# is baked onto those bones of your rig as keyed rotations.',
+    '# Keys are generated bone names (see NAMES), values are your rig\'s bone',
+    '# names; "{side}" is replaced by L or R.',
+    'BONE_MAP   = {}    # e.g. BONE_MAP = RIGIFY_MAP',
+    'WRIST_TWIST_AXIS = "TRACK_X"  # Wrist bone axis facing the index finger ("" = no twist)',
+    '',
+    '# Rigify (generated rig, FK controls)',
+    'RIGIFY_MAP = {',
+    '    "Wrist":      "hand_fk.{side}",',
+    '    "Thumb_CMC":  "thumb.01.{side}",    "Thumb_MCP":  "thumb.02.{side}",    "Thumb_IP":   "thumb.03.{side}",',
+    '    "Index_MCP":  "f_index.01.{side}",  "Index_PIP":  "f_index.02.{side}",  "Index_DIP":  "f_index.03.{side}",',
+    '    "Middle_MCP": "f_middle.01.{side}", "Middle_PIP": "f_middle.02.{side}", "Middle_DIP": "f_middle.03.{side}",',
+    '    "Ring_MCP":   "f_ring.01.{side}",   "Ring_PIP":   "f_ring.02.{side}",   "Ring_DIP":   "f_ring.03.{side}",',
+    '    "Pinky_MCP":  "f_pinky.01.{side}",  "Pinky_PIP":  "f_pinky.02.{side}",  "Pinky_DIP":  "f_pinky.03.{side}",',
+    '}',
+    '',
     `NAMES = ${namesLiteral}`,
     `TIPS  = {${tipsLiteral}}`,
     '',
+    '# Skeleton tree from CONNECTIONS: parent per landmark, parents-first order,',
+    '# and one bone per joint as (joint, tail landmark, parent joint)',
+    `PARENT = ${JSON.stringify(PARENT)}`,
+    `ORDER  = ${JSON.stringify(ORDER)}`,
+    `BONES  = [${BONES.map(b => `(${b.join(', ')})`).join(', ')}]`,
+    '',
+    '# Handedness label → Blender side suffix (Hand_Wrist.L, Hand_Wrist.R)',
+    'SIDES = {"Left": "L", "Right": "R"}',
+    '',
     '# Landmark indices used for scale reference',
     'IDX_WRIST = 0   # Wrist',
+    'IDX_INDEX = 5   # Index finger MCP',
+    'IDX_MCP   = 9   # Middle finger MCP (palm length)',
+    'IDX_PINKY = 17  # Pinky MCP',
     'IDX_TIP   = 12  # Middle finger tip',
     '',
     '',
@@ -117,7 +289,17 @@ function buildBlenderScript(jsonFilename) {
     '    ))',
     '',
     '',
+    '# ── First recorded pose (any hand) — reference for fitting ───────',
+    'def first_lm(frames):',
+    '    for fr in frames:',
+    '        for side in SIDES:',
+    '            if side in fr["hands"]:',
+    '                return fr["hands"][side]["lm"]',
+    '    raise ValueError("No hand data in any frame")',
+    '',
+    '',
     '# ── Auto-fit: compute scale + offset from rig bones ─────────────',
+    '# One scale + offset for both hands, so their relative placement holds.',
     'def compute_fit(frames):',
     '    # -- Option A: fit to rig bones --',
     '    if AUTO_FIT and RIG_NAME and WRIST_BONE and TIP_BONE:',
@@ -129,7 +311,7 @@ function buildBlenderScript(jsonFilename) {
     '            if bw and bt:',
     '                mw = arm_obj.matrix_world',
     '                rig_size = (mw @ bt.head_local - mw @ bw.head_local).length',
-    '                lm0 = frames[0]["lm"]',
+    '                lm0 = first_lm(frames)',
     '                p0 = Vector((lm0[IDX_WRIST*3], lm0[IDX_WRIST*3+1], lm0[IDX_WRIST*3+2]))',
     '                p1 = Vector((lm0[IDX_TIP*3],   lm0[IDX_TIP*3+1],   lm0[IDX_TIP*3+2]))',
     '                data_size = (p1 - p0).length',
@@ -148,7 +330,7 @@ function buildBlenderScript(jsonFilename) {
     '            print(f"  WARNING: armature {RIG_NAME!r} not found")',
     '',
     '    # -- Option B: auto-center wrist at origin, use manual SCALE --',
-    '    lm0   = frames[0]["lm"]',
+    '    lm0   = first_lm(frames)',
     '    wx,wy,wz = lm0[IDX_WRIST*3], lm0[IDX_WRIST*3+1], lm0[IDX_WRIST*3+2]',
     '    wbl = to_blender(wx, wy, wz, SCALE)',
     '    off = (-wbl.x, -wbl.y, -wbl.z)',
@@ -164,6 +346,31 @@ function buildBlenderScript(jsonFilename) {
     '    return SCALE, off',
     '',
     '',
+    '# ── World space: metres per screen unit ─────────────────────────',
+    '# World landmarks are centred on the hand, so the hand\'s travel comes',
+    '# from the screen-space wrist, converted to metres by comparing palm',
+    '# length in both spaces (median over the take).',
+    'def palm_len(a):',
+    '    return (Vector(a[IDX_MCP*3:IDX_MCP*3+3]) - Vector(a[IDX_WRIST*3:IDX_WRIST*3+3])).length',
+    '',
+    'def metric_factor(frames):',
+    '    ratios = sorted(',
+    '        palm_len(h["world"]) / palm_len(h["lm"])',
+    '        for fr in frames for h in fr["hands"].values()',
+    '        if "world" in h and palm_len(h["lm"]) > 1e-6',
+    '    )',
+    '    return ratios[len(ratios) // 2] if ratios else 1.0',
+    '',
+    'def world_point(hand, i, m, root0):',
+    '    lm, w = hand["lm"], hand["world"]',
+    '    root = (Vector(lm[0:3]) - root0) * m',
+    '    return to_blender(',
+    '        (w[i*3]   - w[0]) * HAND_SIZE + root.x,',
+    '        (w[i*3+1] - w[1]) * HAND_SIZE + root.y,',
+    '        (w[i*3+2] - w[2]) * HAND_SIZE + root.z,',
+    '    )',
+    '',
+    '',
     '# ── Load JSON ────────────────────────────────────────────────────',
     'with open(JSON_PATH, encoding="utf-8") as f:',
     '    data = json.load(f)',
@@ -173,19 +380,39 @@ function buildBlenderScript(jsonFilename) {
     'N      = len(frames)',
     'print(f"\\n▶ Importing: {N} frames @ {fps} fps  ({data.get(\'duration\', \'?\')}s)")',
     '',
+    '# Uniform takes key frame i at scene frame i + 1. Source-timed takes',
+    '# (timing "source") key every frame at its own timestamp, on a scene',
+    '# running at the nearest whole rate — keys may fall between frames.',
+    'UNIFORM   = data.get("timing", "uniform") != "source"',
+    'SCENE_FPS = max(1, round(fps))',
+    '',
+    'def key_frame(fi, fr):',
+    '    return fi + 1 if UNIFORM else 1 + fr["t"] * SCENE_FPS',
+    '',
+    'LAST = N if UNIFORM else max(1, math.ceil(key_frame(N - 1, frames[-1])))',
+    '',
     '',
     '',
     '# ── Compute scale + offset to fit rig ─────────────────────────',
-    '_scale, _offset = compute_fit(frames)',
+    'units     = data.get("units", {})',
+    'use_world = SPACE == "world" or (SPACE == "auto" and "world" in data.get("spaces", []))',
+    'if use_world:',
+    '    _metric = metric_factor(frames) * HAND_SIZE',
+    '    _root0  = Vector(first_lm(frames)[0:3])',
+    '    print(f"  World space: true size in {units.get(\'world\', \'metres\')}, travel x{_metric:.4f} m/unit")',
+    'else:',
+    '    _scale, _offset = compute_fit(frames)',
     '',
     '# ── Scene setup ──────────────────────────────────────────────────',
     'scene              = bpy.context.scene',
-    'scene.render.fps   = fps',
+    'scene.render.fps   = SCENE_FPS',
     'scene.frame_start  = 1',
-    'scene.frame_end    = N',
+    'scene.frame_end    = LAST',
     '',
     '',
     '# ── Clean previous import ────────────────────────────────────────',
+    'if bpy.context.object and bpy.context.object.mode != "OBJECT":',
+    '    bpy.ops.object.mode_set(mode="OBJECT")',
     'if "HandTracking" in bpy.data.collections:',
     '    col = bpy.data.collections["HandTracking"]',
     '    for obj in list(col.objects):',
@@ -196,28 +423,208 @@ function buildBlenderScript(jsonFilename) {
     'scene.collection.children.link(col)',
     '',
     '',
-    '# ── Create one Empty per landmark ────────────────────────────────',
-    'empties = []',
-    'for i, name in enumerate(NAMES):',
-    '    bpy.ops.object.empty_add(type="SPHERE", location=(0, 0, 0))',
-    '    obj                    = bpy.context.active_object',
-    '    obj.name               = f"Hand_{name}"',
-    '    obj.empty_display_size = 0.014 if i in TIPS else 0.009',
-    '    obj.color              = (1, 0, 0.67, 1) if i in TIPS else (0, 1, 0.91, 1)',
-    '    for c in list(obj.users_collection):',
-    '        c.objects.unlink(obj)',
+    '# ── Landmark positions in Blender space ──────────────────────────',
+    '# None when the hand is missing from the frame (no key — Blender',
+    '# interpolates across it).',
+    'def hand_points(fr, side):',
+    '    hand = fr["hands"].get(side)',
+    '    if hand is None or (use_world and "world" not in hand):',
+    '        return None',
+    '    if "q" in hand and hand["q"][0] < MIN_QUALITY:',
+    '        return None',
+    '    if use_world:',
+    '        return [world_point(hand, i, _metric, _root0) for i in range(21)]',
+    '    lm = hand["lm"]',
+    '    return [to_blender(lm[i*3], lm[i*3+1], lm[i*3+2], _scale, _offset) for i in range(21)]',
+    '',
+    '',
+    '# ── Joint orientation: +Y along the bone, +Z along the palm normal ─',
+    'def joint_matrix(p, head, tail):',
+    '    side   = p[IDX_INDEX] - p[IDX_PINKY]',
+    '    palm   = (p[IDX_MCP] - p[IDX_WRIST]).normalized()',
+    '    normal = side.cross(palm).normalized()',
+    '    y = (p[tail] - p[head]).normalized()',
+    '    z = normal - y * normal.dot(y)',
+    '    if z.length < 1e-4:',
+    '        z = side - y * side.dot(y)',
+    '    z.normalize()',
+    '    return Matrix((y.cross(z), y, z)).transposed()',
+    '',
+    '',
+    '# ── Rest pose: first pose, every bone at its mean length ─────────',
+    'def rest_points(side):',
+    '    poses = [p for p in (hand_points(fr, side) for fr in frames) if p]',
+    '    first = poses[0]',
+    '    rest  = [None] * 21',
+    '    rest[IDX_WRIST] = first[IDX_WRIST].copy()',
+    '    for i in ORDER[1:]:',
+    '        par = PARENT[i]',
+    '        length  = sum((p[i] - p[par]).length for p in poses) / len(poses)',
+    '        rest[i] = rest[par] + (first[i] - first[par]).normalized() * length',
+    '    return rest',
+    '',
+    '',
+    'def bone_name(j, side):',
+    '    return f"Hand_{NAMES[j]}.{SIDES[side]}"',
+    '',
+    '',
+    '# ── Build one armature per hand ──────────────────────────────────',
+    'def build_armature(side):',
+    '    rest = rest_points(side)',
+    '    arm  = bpy.data.armatures.new(f"HandRig.{SIDES[side]}")',
+    '    obj  = bpy.data.objects.new(f"HandRig.{SIDES[side]}", arm)',
     '    col.objects.link(obj)',
-    '    empties.append(obj)',
-    '',
-    '',
-    '# ── Insert keyframes ─────────────────────────────────────────────',
-    'print("▶ Inserting keyframes...")',
+    '    obj.show_in_front = True',
+    '',
+    '    bpy.context.view_layer.objects.active = obj',
+    '    bpy.ops.object.mode_set(mode="EDIT")',
+    '    for j, tail, parent in BONES:',
+    '        eb      = arm.edit_bones.new(bone_name(j, side))',
+    '        eb.head = rest[j]',
+    '        eb.tail = rest[tail]',
+    '        eb.align_roll(joint_matrix(rest, j, tail).col[2])',
+    '        if parent >= 0:',
+    '            eb.parent = arm.edit_bones[bone_name(parent, side)]',
+    '    bpy.ops.object.mode_set(mode="OBJECT")',
+    '    return obj',
+    '',
+    '',
+    '# ── Key per-bone rotations (and the wrist location) ──────────────',
+    '# Pose bone basis that makes the bone match the landmark frame M:',
+    '#   root:  B = R⁻¹ · M',
+    '#   child: B = R⁻¹ · R_parent · M_parent⁻¹ · M',
+    '# where R is the bone\'s rest orientation in armature space.',
+    'def key_armature(obj, side):',
+    '    bones = [(obj.pose.bones[bone_name(j, side)], j, tail, parent) for j, tail, parent in BONES]',
+    '    rest  = {j: pb.bone.matrix_local.to_3x3() for pb, j, _, _ in bones}',
+    '    head0 = bones[0][0].bone.head_local.copy()',
+    '    prev  = {}',
+    '    for pb, *_ in bones:',
+    '        pb.rotation_mode = "QUATERNION"',
+    '',
+    '    for fi, fr in enumerate(frames):',
+    '        pts = hand_points(fr, side)',
+    '        if pts is None:',
+    '            continue',
+    '        pose = {}',
+    '        for pb, j, tail, parent in bones:',
+    '            m = pose[j] = joint_matrix(pts, j, tail)',
+    '            if parent < 0:',
+    '                basis = rest[j].inverted() @ m',
+    '                pb.location = rest[j].inverted() @ (pts[j] - head0)',
+    '                pb.keyframe_insert(data_path="location", frame=key_frame(fi, fr))',
+    '            else:',
+    '                basis = rest[j].inverted() @ rest[parent] @ pose[parent].inverted() @ m',
+    '            q = basis.to_quaternion()',
+    '            if j in prev:',
+    '                q.make_compatible(prev[j])  # no sign flips between keys',
+    '            prev[j] = q',
+    '            pb.rotation_quaternion = q',
+    '            pb.keyframe_insert(data_path="rotation_quaternion", frame=key_frame(fi, fr))',
+    '',
+    '',
+    '# ── Retarget onto RIG_NAME through BONE_MAP ──────────────────────',
+    '# Each mapped rig bone aims at the generated bone\'s tail (direction',
+    '# only, so rig proportions and bone rolls do not matter), the wrist',
+    '# also takes its twist from the index side. The result is baked into',
+    '# keyed rotations on the rig and the helper constraints are removed',
+    '# (the rig\'s own constraints are left alone).',
+    'def select_pose_bone(pb):',
+    '    try:',
+    '        pb.select = True       # Blender 5.0+',
+    '    except AttributeError:',
+    '        pb.bone.select = True',
+    '',
+    '',
+    'def retarget(src, side):',
+    '    rig = bpy.data.objects.get(RIG_NAME)',
+    '    if not rig or rig.type != "ARMATURE":',
+    '        print(f"  WARNING: armature {RIG_NAME!r} not found — skipping retarget")',
+    '        return 0',
+    '',
+    '    mapped = []',
+    '    for name, target in BONE_MAP.items():',
+    '        if name not in NAMES:',
+    '            print(f"  WARNING: BONE_MAP key {name!r} is not a landmark name")',
+    '            continue',
+    '        j  = NAMES.index(name)',
+    '        pb = rig.pose.bones.get(target.format(side=SIDES[side]))',
+    '        if pb is None:',
+    '            print(f"  WARNING: {target.format(side=SIDES[side])!r} not in {RIG_NAME}")',
+    '            continue',
+    '        c = pb.constraints.new("DAMPED_TRACK")',
+    '        c.name = "HandTrack"',
+    '        c.target, c.subtarget, c.head_tail = src, bone_name(j, side), 1.0',
+    '        if j == IDX_WRIST and WRIST_TWIST_AXIS:',
+    '            c = pb.constraints.new("LOCKED_TRACK")',
+    '            c.name = "HandTrack"',
+    '            c.target, c.subtarget = src, bone_name(IDX_INDEX, side)',
+    '            c.lock_axis, c.track_axis = "LOCK_Y", WRIST_TWIST_AXIS',
+    '        mapped.append(pb)',
+    '',
+    '    if not mapped:',
+    '        return 0',
+    '',
+    '    bpy.ops.object.select_all(action="DESELECT")',
+    '    rig.select_set(True)',
+    '    bpy.context.view_layer.objects.active = rig',
+    '    bpy.ops.object.mode_set(mode="POSE")',
+    '    bpy.ops.pose.select_all(action="DESELECT")',
+    '    for pb in mapped:',
+    '        select_pose_bone(pb)',
+    '    bpy.ops.nla.bake(',
+    '        frame_start=1, frame_end=LAST, only_selected=True, visual_keying=True,',
+    '        use_current_action=True, bake_types={"POSE"},',
+    '    )',
+    '    for pb in mapped:',
+    '        for c in [c for c in pb.constraints if c.name.startswith("HandTrack")]:',
+    '            pb.constraints.remove(c)',
+    '    bpy.ops.object.mode_set(mode="OBJECT")',
+    '    return len(mapped)',
+    '',
+    '',
+    '# ── Create armatures / empties for each recorded hand ────────────',
+    'hands     = [s for s in (data.get("hands") or list(SIDES))',
+    '             if any(hand_points(fr, s) for fr in frames)]',
+    'rigs      = {}',
+    'empties   = {}',
+    'retargets = 0',
+    '',
+    'for side in hands:',
+    '    if ARMATURE:',
+    '        print(f"▶ Building HandRig.{SIDES[side]}...")',
+    '        rigs[side] = build_armature(side)',
+    '        key_armature(rigs[side], side)',
+    '        if RIG_NAME and BONE_MAP:',
+    '            retargets += retarget(rigs[side], side)',
+    '',
+    '    if EMPTIES:',
+    '        empties[side] = []',
+    '        for i, name in enumerate(NAMES):',
+    '            bpy.ops.object.empty_add(type="SPHERE", location=(0, 0, 0))',
+    '            obj                    = bpy.context.active_object',
+    '            obj.name               = f"Hand_{name}.{SIDES[side]}"',
+    '            obj.empty_display_size = 0.014 if i in TIPS else 0.009',
+    '            obj.color              = (1, 0, 0.67, 1) if i in TIPS else (0, 1, 0.91, 1)',
+    '            for c in list(obj.users_collection):',
+    '                c.objects.unlink(obj)',
+    '            col.objects.link(obj)',
+    '            empties[side].append(obj)',
+    '',
+    '',
+    '# ── Insert empty keyframes ───────────────────────────────────────',
+    '# Frames where a hand is missing get no key — Blender interpolates.',
+    'if empties:',
+    '    print("▶ Inserting keyframes...")',
     'for fi, frame_data in enumerate(frames):',
-    '    lm = frame_data["lm"]',
-    '    for i, obj in enumerate(empties):',
-    '        obj.location = to_blender(lm[i*3], lm[i*3+1], lm[i*3+2], _scale, _offset)',
-    '        obj.keyframe_insert(data_path="location", frame=fi + 1)',
-    '    if fi % 100 == 0:',
+    '    for side, objs in empties.items():',
+    '        pts = hand_points(frame_data, side)',
+    '        if pts is None:',
+    '            continue',
+    '        for obj, p in zip(objs, pts):',
+    '            obj.location = p',
+    '            obj.keyframe_insert(data_path="location", frame=key_frame(fi, frame_data))',
+    '    if empties and fi % 100 == 0:',
     '        print(f"  {fi + 1} / {N}")',
     '',
     '',
@@ -241,28 +648,81 @@ function buildBlenderScript(jsonFilename) {
     '        except Exception:',
     '            pass  # Non-critical — animation works with Bezier too',
     '',
-    'for obj in empties:',
+    'for obj in [*rigs.values(), *(o for objs in empties.values() for o in objs)]:',
     '    if obj.animation_data and obj.animation_data.action:',
     '        set_linear(obj.animation_data.action)',
     '',
     '',
-    'print(f"\\n✓ Done!  HandTracking → {len(empties)} empties x {N} keyframes @ {fps} fps")',
-    'print("  Tip: use Copy Location constraints on a Rigify hand armature")',
+    '_made = [f"HandRig.{SIDES[s]}" for s in rigs] + [f"{len(o)} empties .{SIDES[s]}" for s, o in empties.items()]',
+    'print(f"\\n✓ Done!  HandTracking → {\', \'.join(_made)} x {N} frames @ {fps} fps")',
+    'if retargets:',
+    '    print(f"  Retargeted {retargets} bones onto {RIG_NAME}")',
+    'elif ARMATURE:',
+    '    print("  Tip: set RIG_NAME + BONE_MAP (e.g. BONE_MAP = RIGIFY_MAP) to bake onto your own rig")',
   ];
 
   return lines.join('\n');
 }
 
+// ─── Takes in the modal ──────────────────────────────────────────────
+/**
+ * What the modal exports: [{ name, fps, edit, sampling, frames }] — the
+ * selected take, or the takes ticked in the take manager (see openExport).
+ * Frames are gap-filled and edited, so every builder below gets a take
+ * timed at exactly `fps` — or, with source timing (edit.fps 0), at its
+ * own timestamps, `fps` being their measured mean rate. `sampling` is
+ * how the take was captured (retime.js sampling(), before the edit).
+ */
+let _takes = [];
+
+const takeDuration = frames => frames[frames.length - 1].t;
+
+const isSource = take => !take.edit.fps;
+
+/** README text for sampling().interval */
+const intervalLabel = ({ min, median, max }) => `${median} ms median (${min}–${max} ms)`;
+
+/** README line describing a take edit. */
+function editLabel({ in: from, out, speed }) {
+  const trim = from > 0 || out != null
+    ? `${from.toFixed(2)}s to ${out == null ? 'end' : out.toFixed(2) + 's'}`
+    : 'full take';
+  return `${trim}, ${speed}x speed`;
+}
+
 // ─── Modal helpers ───────────────────────────────────────────────────
 function openModal() {
-  if (!recFrames.length) return;
+  openExport([{ name: recTake.name, frames: recFrames, edit: recTake.edit }]);
+}
 
-  const el  = recFrames[recFrames.length - 1].t;
-  const fps = recFrames.length / Math.max(el, 0.001);
+/**
+ * Opens the export modal for one or more takes. With several, every
+ * download is one ZIP holding a folder per take.
+ * @param {Array<{name: string, frames: Array<object>, edit?: object}>} takes
+ *   edit: trim / fps / speed from the take editor (DEFAULT_EDIT if absent;
+ *   fps 0 = source timing).
+ */
+export function openExport(takes) {
+  _takes = takes.filter(t => t.frames.length).map(t => {
+    const edit   = { ...DEFAULT_EDIT, ...t.edit };
+    const frames = retime(fillGaps(t.frames), edit);
+    const fps    = edit.fps || sampling(frames).rate || DEFAULT_EDIT.fps;
+    return { name: t.name, fps, edit, sampling: sampling(t.frames), frames };
+  });
+  if (!_takes.length) return;
 
+  const all = _takes.flatMap(t => t.frames);
+  const el  = _takes.reduce((sum, t) => sum + takeDuration(t.frames), 0);
+  const fps = _takes.every(t => t.fps === _takes[0].fps) ? _takes[0].fps : all.length / Math.max(el, 0.001);
+
+  $('ex-t').textContent   = _takes.length > 1 ? `${_takes.length} TAKES` : _takes[0].name || '-';
   $('ex-d').textContent   = el.toFixed(2) + 's';
-  $('ex-f').textContent   = recFrames.length;
-  $('ex-fps').textContent = fps.toFixed(1);
+  $('ex-f').textContent   = all.length;
+  $('ex-fps').textContent = Number.isInteger(fps) ? fps : fps.toFixed(1);
+  $('ex-h').textContent   = handsInTake(all).join(' + ') || '-';
+  $('angbtn').disabled    = !all.some(f => Object.values(f.hands).some(h => h.ang || h.world));
+  syncZipChoice();
+  say('');
 
   $('emodal').classList.add('visible');
 }
@@ -271,65 +731,293 @@ function closeModal() {
   $('emodal').classList.remove('visible');
 }
 
-// ─── ZIP download ────────────────────────────────────────────────────
-async function downloadZip() {
-  if (!recFrames.length) return;
+/** Shows a message under the file list (empty hides it). */
+function say(text, err = false) {
+  const el = $('emsg');
+  el.textContent = text;
+  el.classList.toggle('err', err);
+}
 
-  const el       = recFrames[recFrames.length - 1].t;
-  const fps      = Math.round(recFrames.length / Math.max(el, 0.001)) || 30;
+/**
+ * Click handler for a download button: a failure while building or
+ * saving the files is shown in the modal rather than lost.
+ * @param {string} what - Format name for the message.
+ * @param {() => Promise<void>} run
+ */
+function download(what, run) {
+  return async () => {
+    say('');
+    try {
+      await run();
+    } catch (err) {
+      say(`✕ ${what} export failed — ${err.message}`, true);
+      console.error('[export]', err);
+    }
+  };
+}
+
+// ─── ZIP contents ────────────────────────────────────────────────────
+/**
+ * Checked state of every ZIP content checkbox in the modal, keyed by
+ * its data-zip attribute (json, py, csv, npy, readme).
+ * @returns {Record<string, boolean>}
+ */
+function zipChoice() {
+  const boxes = document.querySelectorAll('#emodal input[data-zip]');
+  return Object.fromEntries([...boxes].map(b => [b.dataset.zip, b.checked]));
+}
+
+/**
+ * The Blender script reads the JSON, so it cannot ship without it;
+ * the download button is disabled while nothing is selected.
+ *
+ * @param {Event} [e] - change event of the checkbox that triggered it
+ */
+function syncZipChoice(e) {
+  const box = name => document.querySelector(`#emodal input[data-zip="${name}"]`);
+  const key = e?.target.dataset.zip;
+
+  if (key === 'py'   &&  box('py').checked)   box('json').checked = true;
+  if (key === 'json' && !box('json').checked) box('py').checked   = false;
+
+  $('dlbtn').disabled = !Object.values(zipChoice()).some(Boolean);
+}
+
+// ─── File save ───────────────────────────────────────────────────────
+function saveBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a   = Object.assign(document.createElement('a'), {
+    href:     url,
+    download: filename,
+  });
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Saves the files built for each take in _takes (same order). A lone
+ * file with a `type` is saved as is; anything else goes into one ZIP,
+ * with a numbered folder per take when there are several.
+ *
+ * @param {Array<Array<{name: string, data: string|ArrayBuffer|Uint8Array}>>} perTake
+ * @param {string} zipName - ZIP file name stem.
+ * @param {string} [type]  - MIME type, to allow saving a lone file directly.
+ */
+async function saveTakes(perTake, zipName, type) {
+  const slug   = i => (_takes[i].name || 'take').replace(/[^\w.-]+/g, '_');
+  const folder = i => (perTake.length > 1 ? `${String(i + 1).padStart(2, '0')}_${slug(i)}/` : '');
+  const files  = perTake.flatMap((list, i) => list.map(f => ({ ...f, path: folder(i) + f.name })));
+
+  if (files.length === 1 && type) {
+    saveBlob(new Blob([files[0].data], { type }), files[0].name);
+  } else if (files.length) {
+    const zip = new window.JSZip();
+    files.forEach(f => zip.file(f.path, f.data));
+    saveBlob(await zip.generateAsync({ type: 'blob' }), `${zipName}_${Date.now()}.zip`);
+  }
+  closeModal();
+}
+
+// ─── ZIP download ────────────────────────────────────────────────────
+/** The ZIP contents ticked in `pick` for one take. */
+function zipFiles(take, pick) {
+  const fps      = take.fps;
+  const frames   = take.frames;
+  const el       = takeDuration(frames);
   const filename = 'hand_animation.json';
 
+  const profile  = activeProfile();
+  const hands    = handsInTake(frames);
+  const dropped  = frames.reduce((n, f) => n + (f.dropped ?? 0), 0);
+  const rated    = frames.flatMap(f => Object.values(f.hands).filter(h => h.q).map(h => h.q[0]));
+  const hasWorld = frames.some(f => Object.values(f.hands).some(h => h.world));
+
+  // Tables: one file per hand and coordinate space, rows = frames
+  const spaces = hasWorld ? ['lm', 'world'] : ['lm'];
+  const tables = hands.flatMap(hand => spaces.map(key => ({
+    hand, key,
+    base: `landmarks_${hand.toLowerCase()}${key === 'world' ? '_world' : ''}`,
+  })));
+
   const jsonPayload = {
-    version:    '2.0',
+    version:    '3.0',
     generator:  'Hand.Track 3D',
     fps,
-    frameCount: recFrames.length,
+    timing:     isSource(take) ? 'source' : 'uniform',
+    sampling:   take.sampling,
+    frameCount: frames.length,
     duration:   +el.toFixed(3),
     landmarks:  21,
-    format:     'lm: flat array [x0,y0,z0,...] Three.js Y-up world space',
-    frames:     recFrames,
+    hands,
+    spaces,
+    angles:     { names: ANGLE_NAMES, units: ANGLE_UNITS },
+    quality:    { names: QUALITY_NAMES, units: QUALITY_UNITS, dropped },
+    units:      {
+      lm:    `scene units (normalised image coords x Scale setting, z x ${+depthFactor().toFixed(3)}), origin at image centre`,
+      world: 'metres, origin at the hand centre',
+    },
+    ...(profile && {
+      profile: {
+        name:       profile.name,
+        palmWidth:  profile.palmWidth,
+        handLength: profile.handLength,
+        bones:      profile.bones,
+        depth:      profile.depth,
+      },
+    }),
+    format:     'hands.<Left|Right>.lm / .world: flat array [x0,y0,z0,...] Y-up, mirrored like the video; .lmRaw / .worldRaw (optional): the same before smoothing; .ang: joint angles in angles.names order; .q: tracking quality in quality.names order; .jit: jitter per landmark (mm); absent hands omitted; dropped: inference passes without a result before this frame; gap: tracking dropout, hands interpolated; timing uniform: t = k / fps, source: t = capture time, fps = mean rate; sampling: rate (fps) and frame interval (ms) as captured',
+    frames,
   };
 
   const readme = [
     'HAND.TRACK 3D — EXPORT',
     '======================',
     '',
-    `Frames   : ${recFrames.length}`,
+    ...(take.name ? [`Take     : ${take.name}`] : []),
+    `Frames   : ${frames.length}`,
     `Duration : ${el.toFixed(2)}s`,
-    `FPS      : ${fps}`,
+    isSource(take)
+      ? `FPS      : ${fps} average (source timing: frames at their capture times)`
+      : `FPS      : ${fps} (uniform, resampled)`,
+    `Captured : ${take.sampling.rate} fps, frame interval ${intervalLabel(take.sampling.interval)}`,
+    `Edit     : ${editLabel(take.edit)}`,
+    `Hands    : ${hands.join(', ')}`,
+    ...(profile ? [`Profile  : ${profile.name} (hand ${(profile.handLength * 100).toFixed(1)}cm, palm ${(profile.palmWidth * 100).toFixed(1)}cm)`] : []),
+    `Gaps     : ${frames.filter((f, i) => f.gap && !frames[i - 1]?.gap).length} (interpolated)`,
+    ...(rated.length ? [`Quality  : ${(rated.reduce((s, q) => s + q, 0) / rated.length).toFixed(2)} mean, ${rated.filter(q => q < 0.5).length} hand frames below 0.5`] : []),
+    `Dropped  : ${dropped} inference passes without a result`,
     `Recorded : ${new Date().toLocaleString()}`,
     '',
-    'HOW TO IMPORT IN BLENDER',
-    '  1. Blender → Scripting workspace',
-    '  2. Click "Open" → select import_hand_blender.py',
-    '  3. Click Run Script ▶',
-    '',
-    'If you get a FileNotFoundError:',
-    `  Open import_hand_blender.py, find  JSON_PATH = ""  near the top`,
-    `  and paste your full path to ${filename}, e.g.:`,
-    `  JSON_PATH = r"C:\\Users\\Alex\\Downloads\\${filename}"`,
+    ...(pick.csv || pick.npy ? [
+      'LANDMARK TABLES',
+      '  One row per frame, in the same order in every file; gap frames',
+      '  hold interpolated values. lm = scene units, _world = metres.',
+      ...(pick.csv ? [
+        '  landmarks_<hand>[_world].csv : t, gap, present, quality, Wrist_x ... Pinky_Tip_z',
+        '    (cells are empty where the hand is absent)',
+      ] : []),
+      ...(pick.npy ? [
+        '  landmarks_<hand>[_world].npy : float32 (frames, 21, 3), NaN where absent',
+        '  timestamps.npy               : float64 (frames,), seconds',
+        `  quality_<hand>.npy           : float32 (frames, ${QUALITY_NAMES.length}): ${QUALITY_NAMES.join(', ')}`,
+        '    numpy.load("landmarks_right.npy")[:, 8] -> index fingertip track',
+      ] : []),
+      '',
+    ] : []),
+    ...(pick.py ? [
+      'HOW TO IMPORT IN BLENDER',
+      '  1. Blender → Scripting workspace',
+      '  2. Click "Open" → select import_hand_blender.py',
+      '  3. Click Run Script ▶',
+      '',
+      'If you get a FileNotFoundError:',
+      `  Open import_hand_blender.py, find  JSON_PATH = ""  near the top`,
+      `  and paste your full path to ${filename}, e.g.:`,
+      `  JSON_PATH = r"C:\\Users\\Alex\\Downloads\\${filename}"`,
+    ] : []),
   ].join('\n');
 
-  const zip = new window.JSZip();
-  zip.file(filename,                 JSON.stringify(jsonPayload));
-  zip.file('import_hand_blender.py', buildBlenderScript(filename));
-  zip.file('README.txt',             readme);
+  const files = [];
+  const add   = (name, data) => files.push({ name, data });
+  if (pick.json)   add(filename,                 JSON.stringify(jsonPayload));
+  if (pick.py)     add('import_hand_blender.py', buildBlenderScript(filename, profile, profileScale(frames, profile)));
+  if (pick.csv)    tables.forEach(({ hand, key, base }) => add(`${base}.csv`, landmarkCSV(frames, hand, key)));
+  if (pick.npy) {
+    tables.forEach(({ hand, key, base }) => add(`${base}.npy`, landmarkNPY(frames, hand, key)));
+    add('timestamps.npy', timesNPY(frames));
+    hands.forEach(hand => add(`quality_${hand.toLowerCase()}.npy`, qualityNPY(frames, hand)));
+  }
+  if (pick.readme) add('README.txt',             readme);
+  return files;
+}
 
-  const blob = await zip.generateAsync({ type: 'blob' });
-  const url  = URL.createObjectURL(blob);
-  const a    = Object.assign(document.createElement('a'), {
-    href:     url,
-    download: `hand_track_${Date.now()}.zip`,
-  });
-  a.click();
-  URL.revokeObjectURL(url);
+async function downloadZip() {
+  const pick = zipChoice();
+  if (!_takes.length || !Object.values(pick).some(Boolean)) return;
+  await saveTakes(_takes.map(t => zipFiles(t, pick)), 'hand_track');
+}
 
-  closeModal();
+// ─── BVH download ────────────────────────────────────────────────────
+/**
+ * One .bvh per recorded hand. A single hand of a single take is saved
+ * directly; anything more is bundled in a ZIP so the browser only asks
+ * once.
+ */
+function bvhFiles(take) {
+  // BVH only has a fixed frame time: source-timed takes are resampled
+  const fps    = isSource(take) ? Math.max(1, Math.round(take.fps)) : take.fps;
+  const frames = isSource(take) ? retime(take.frames, { ...DEFAULT_EDIT, fps }) : take.frames;
+
+  return handsInTake(frames).map(hand => ({
+    name: `hand_${hand.toLowerCase()}.bvh`,
+    data: buildBVH(frames, hand, fps),
+  }));
+}
+
+async function downloadBVH() {
+  await saveTakes(_takes.map(t => bvhFiles(t)), 'hand_track_bvh', 'text/plain');
+}
+
+// ─── GLB download ────────────────────────────────────────────────────
+async function downloadGLB() {
+  const glbs = [];
+  for (const { frames } of _takes) { // one at a time: GLTFExporter is async
+    glbs.push([{ name: `hand_track_${Date.now()}.glb`, data: await buildGLB(frames, handsInTake(frames)) }]);
+  }
+  await saveTakes(glbs, 'hand_track_glb', 'model/gltf-binary');
+}
+
+// ─── Joint angle table ───────────────────────────────────────────────
+/**
+ * One row per frame in which `hand` has angles: [t, gap, ...angles].
+ * Takes recorded before angles were stored get them from `world`.
+ */
+function angleRows(frames, hand) {
+  const rows = [];
+  for (const f of frames) {
+    const h   = f.hands[hand];
+    const ang = h?.ang ?? (h?.world && anglesFromFlat(h.world).map(v => +v.toFixed(1)));
+    if (ang) rows.push([f.t, f.gap ? 1 : 0, ...ang]);
+  }
+  return rows;
+}
+
+/** hand_angles.csv (long format, one row per hand per frame) + .json. */
+function angleFiles({ frames }) {
+  const tables = Object.fromEntries(handsInTake(frames).map(h => [h, angleRows(frames, h)]));
+
+  const csv = [
+    ['t', 'hand', 'gap', ...ANGLE_NAMES].join(','),
+    ...Object.entries(tables).flatMap(([hand, rows]) =>
+      rows.map(([t, gap, ...ang]) => [t, hand, gap, ...ang].join(','))),
+  ].join('\n');
+
+  const json = {
+    generator: 'Hand.Track 3D',
+    columns:   ['t', 'gap', ...ANGLE_NAMES],
+    units:     ['s', 'flag', ...ANGLE_UNITS],
+    hands:     tables,
+  };
+
+  return [
+    { name: 'hand_angles.csv',  data: csv },
+    { name: 'hand_angles.json', data: JSON.stringify(json) },
+  ];
+}
+
+async function downloadAngles() {
+  await saveTakes(_takes.map(t => angleFiles(t)), 'hand_track_angles');
 }
 
 // ─── Public API ─────────────────────────────────────────────────────
 export function initExport() {
   $('expbtn').addEventListener('click',   openModal);
-  $('dlbtn').addEventListener('click',    downloadZip);
+  $('dlbtn').addEventListener('click',    download('ZIP', downloadZip));
+  $('bvhbtn').addEventListener('click',   download('BVH', downloadBVH));
+  $('glbbtn').addEventListener('click',   download('GLB', downloadGLB));
+  $('angbtn').addEventListener('click',   download('Angle', downloadAngles));
   $('closebtn').addEventListener('click', closeModal);
+  document.querySelectorAll('#emodal input[data-zip]').forEach(b => {
+    b.addEventListener('change', syncZipChoice);
+  });
 }
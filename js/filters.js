@@ -0,0 +1,123 @@
+/**
+ * filters.js
+ * Pluggable per-channel filters for the smoothing stage.
+ *
+ * Every filter works on a single scalar channel (one axis of one
+ * landmark) and keeps its state in a caller-owned Float64Array slice:
+ *
+ *   reset(s, o, x)               → snap the channel to x
+ *   step(s, o, x, dt, fresh)     → advance by dt seconds, return output
+ *
+ * `o` is the channel offset into `s` (channel index × stride),
+ * `fresh` is true when x is a new MediaPipe observation rather than
+ * the same held value seen on the previous render frame.
+ *
+ * Parameters are read from opts on every call so settings apply live.
+ * No allocations — everything is plain arithmetic on the state slice.
+ */
+
+import { opts } from './config.js';
+
+const TWO_PI = Math.PI * 2;
+
+// ─── Fixed lerp ─────────────────────────────────────────────────────
+// State: [x]
+const lerp = {
+  label:  'LERP',
+  stride: 1,
+
+  reset(s, o, x) {
+    s[o] = x;
+  },
+
+  step(s, o, x) {
+    s[o] += (x - s[o]) * opts.smooth;
+    return s[o];
+  },
+};
+
+// ─── One Euro (Casiez et al., CHI 2012) ─────────────────────────────
+// Adaptive low-pass: the cutoff rises with speed, so slow motion is
+// heavily smoothed while fast flicks pass through with little lag.
+// State: [xHat, dxHat]
+
+/** Smoothing factor of a first-order low-pass at `cutoff` Hz. */
+function euroAlpha(cutoff, dt) {
+  const tau = 1 / (TWO_PI * cutoff);
+  return 1 / (1 + tau / dt);
+}
+
+const oneEuro = {
+  label:  'EURO',
+  stride: 2,
+
+  reset(s, o, x) {
+    s[o]     = x;
+    s[o + 1] = 0;
+  },
+
+  step(s, o, x, dt) {
+    const dx  = (x - s[o]) / dt;
+    s[o + 1] += (dx - s[o + 1]) * euroAlpha(opts.euroDCutoff, dt);
+
+    const cutoff = opts.euroMinCutoff + opts.euroBeta * Math.abs(s[o + 1]);
+    s[o] += (x - s[o]) * euroAlpha(cutoff, dt);
+    return s[o];
+  },
+};
+
+// ─── Constant-velocity Kalman ───────────────────────────────────────
+// State vector [p, v] with white-noise acceleration. Predicts every
+// render frame (extrapolating between inference results) and corrects
+// only when a fresh observation arrives.
+// State: [p, v, P00, P01, P11]
+const kalman = {
+  label:  'KALMAN',
+  stride: 5,
+
+  reset(s, o, x) {
+    const r = opts.kalmanR * opts.kalmanR;
+    s[o]     = x;
+    s[o + 1] = 0;
+    s[o + 2] = r;
+    s[o + 3] = 0;
+    s[o + 4] = r;
+  },
+
+  step(s, o, x, dt, fresh) {
+    // Predict: p += v·dt, P = F·P·Fᵀ + Q
+    const q   = opts.kalmanQ * opts.kalmanQ;
+    const dt2 = dt * dt;
+    const p00 = s[o + 2], p01 = s[o + 3], p11 = s[o + 4];
+
+    s[o]    += s[o + 1] * dt;
+    s[o + 2] = p00 + 2 * dt * p01 + dt2 * p11 + q * dt2 * dt2 / 4;
+    s[o + 3] = p01 + dt * p11                 + q * dt2 * dt / 2;
+    s[o + 4] = p11                            + q * dt2;
+
+    if (!fresh) return s[o];
+
+    // Correct with the position observation
+    const r  = opts.kalmanR * opts.kalmanR;
+    const S  = s[o + 2] + r;
+    const k0 = s[o + 2] / S;
+    const k1 = s[o + 3] / S;
+    const y  = x - s[o];
+
+    s[o]     += k0 * y;
+    s[o + 1] += k1 * y;
+
+    const n00 = s[o + 2], n01 = s[o + 3];
+    s[o + 2]  = (1 - k0) * n00;
+    s[o + 3]  = (1 - k0) * n01;
+    s[o + 4] -= k1 * n01;
+    return s[o];
+  },
+};
+
+/**
+ * Available filters, keyed by the value stored in opts.filter.
+ * @type {Record<string, {label: string, stride: number,
+ *                        reset: Function, step: Function}>}
+ */
+export const FILTERS = { lerp, euro: oneEuro, kalman };
@@ -0,0 +1,360 @@
+/**
+ * gestures.js
+ * Gesture recognition from the 21 MediaPipe landmarks.
+ *
+ * Static poses are classified from orientation-invariant features of
+ * MediaPipe's metric world landmarks (image landmarks scale x, y and z
+ * differently, so their angles change with orientation and aspect
+ * ratio; they are only used when a result has no world landmarks):
+ *  - per-finger extension in [0, 1], from the summed flexion angles
+ *    along the finger (thumb: tip distance from the pinky MCP in palm
+ *    widths), so a fist reads the same upright, sideways or upside down;
+ *  - pinch ratio: thumb-tip ↔ index-tip distance in palm widths.
+ *
+ * Dynamic gestures (swipes, circles) are detected from a short history
+ * of palm-centre positions in image space.
+ *
+ * Both kinds live in one registry; apps add their own with
+ * registerGesture(). Changes are dispatched as 'gesture' events on
+ * gestureEvents and shown in the status bar through ui.js.
+ */
+
+import { HANDS, FINGERS } from './config.js';
+import { setGestureData } from './ui.js';
+
+// ─── Tuning ─────────────────────────────────────────────────────────
+/** Minimum template score for a static pose to be reported */
+const MIN_SCORE      = 0.75;
+/** Consecutive identical classifications before a static pose changes */
+const STABLE_FRAMES  = 3;
+/** Thumb-index tip distance (palm widths) below which it is a pinch */
+const PINCH_RATIO    = 0.35;
+/** History kept for dynamic gestures (seconds) */
+const HISTORY_SEC    = 1.5;
+/** Ring-buffer capacity for the palm-centre history */
+const HISTORY_LEN    = 64;
+/** Quiet time after a dynamic gesture fires (seconds) */
+const COOLDOWN_SEC   = 0.8;
+/** How long a dynamic gesture stays in the status bar (seconds) */
+const FLASH_SEC      = 1.0;
+
+const RAD2DEG = 180 / Math.PI;
+
+// ─── Feature extraction ─────────────────────────────────────────────
+const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+
+/** Angle (deg) between segments a→b and b→c; 0 when a, b, c are in line. */
+function bend(a, b, c) {
+  const ux = b.x - a.x, uy = b.y - a.y, uz = b.z - a.z;
+  const vx = c.x - b.x, vy = c.y - b.y, vz = c.z - b.z;
+  const d  = Math.hypot(ux, uy, uz) * Math.hypot(vx, vy, vz);
+  if (d < 1e-9) return 0;
+  const cos = (ux * vx + uy * vy + uz * vz) / d;
+  return Math.acos(Math.max(-1, Math.min(1, cos))) * RAD2DEG;
+}
+
+const clamp01 = v => Math.max(0, Math.min(1, v));
+
+/**
+ * Orientation-invariant pose features for one hand.
+ * @param {Array<{x: number, y: number, z: number}>} lms - MediaPipe landmarks,
+ *   world (metric) ones for true angles.
+ * @returns {{ ext: number[], pinch: number, fingers: number }}
+ */
+export function handFeatures(lms) {
+  const palmW = Math.max(dist(lms[5], lms[17]), 1e-6);
+  const ext   = new Array(5);
+
+  // Thumb: flexion is small even when tucked, so use how far the tip
+  // reaches away from the pinky side of the palm.
+  ext[0] = clamp01((dist(lms[4], lms[17]) / palmW - 1.2) / 0.6);
+
+  for (let f = 1; f < 5; f++) {
+    const [mcp, pip, dip, tip] = FINGERS[f];
+    const curl = bend(lms[0], lms[mcp], lms[pip])
+               + bend(lms[mcp], lms[pip], lms[dip])
+               + bend(lms[pip], lms[dip], lms[tip]);
+    ext[f] = clamp01((180 - curl) / 150);
+  }
+
+  return {
+    ext,
+    pinch:   dist(lms[4], lms[8]) / palmW,
+    fingers: ext.filter(e => e > 0.5).length,
+  };
+}
+
+// ─── Registry ───────────────────────────────────────────────────────
+/**
+ * Static template: `fingers` lists the target extension per finger
+ * (thumb → pinky; 1 = extended, 0 = curled, null = don't care) and
+ * `pinch` optionally requires (true) or forbids (false) a pinch.
+ * Alternatively supply `score(features) → [0, 1]`.
+ *
+ * Dynamic template: `kind: 'dynamic'` and `detect(history) → boolean`,
+ * where history exposes count and x(i), y(i), t(i) — palm centre in
+ * image coordinates and time in seconds, i = 0 oldest.
+ */
+const _gestures = [];
+
+/**
+ * Adds a gesture to the registry (replacing any with the same name).
+ * @param {object} template - See the registry comment above.
+ */
+export function registerGesture(template) {
+  const i = _gestures.findIndex(g => g.name === template.name);
+  const g = { kind: 'static', ...template };
+  if (i >= 0) _gestures[i] = g; else _gestures.push(g);
+}
+
+/** Removes a gesture from the registry by name. */
+export function unregisterGesture(name) {
+  const i = _gestures.findIndex(g => g.name === name);
+  if (i >= 0) _gestures.splice(i, 1);
+}
+
+/**
+ * Names of the registered gestures, optionally only those of one kind.
+ * @param {'static'|'dynamic'} [kind]
+ * @returns {string[]}
+ */
+export function gestureNames(kind) {
+  return _gestures.filter(g => !kind || g.kind === kind).map(g => g.name);
+}
+
+function templateScore(g, feat) {
+  if (g.score) return g.score(feat);
+
+  let sum = 0;
+  let n   = 0;
+  g.fingers?.forEach((target, f) => {
+    if (target === null || target === undefined) return;
+    sum += 1 - Math.abs(target - feat.ext[f]);
+    n++;
+  });
+  if (g.pinch !== undefined) {
+    sum += (feat.pinch < PINCH_RATIO) === g.pinch ? 1 : 0;
+    n++;
+  }
+  // Tiny bonus per constraint so the more specific template wins ties
+  return n ? sum / n + n * 0.001 : 0;
+}
+
+function classifyStatic(feat) {
+  let best      = null;
+  let bestScore = MIN_SCORE;
+  for (const g of _gestures) {
+    if (g.kind !== 'static') continue;
+    const s = templateScore(g, feat);
+    if (s >= bestScore) { best = g; bestScore = s; }
+  }
+  return best;
+}
+
+// ─── Built-in static poses ──────────────────────────────────────────
+registerGesture({ name: 'fist',      fingers: [0, 0, 0, 0, 0], pinch: false });
+registerGesture({ name: 'open_palm', fingers: [1, 1, 1, 1, 1], pinch: false });
+registerGesture({ name: 'point',     fingers: [null, 1, 0, 0, 0], pinch: false });
+registerGesture({ name: 'victory',   fingers: [null, 1, 1, 0, 0], pinch: false });
+registerGesture({ name: 'thumbs_up', fingers: [1, 0, 0, 0, 0], pinch: false });
+registerGesture({ name: 'pinch',     fingers: [null, null, 0, 0, 0], pinch: true });
+registerGesture({ name: 'ok',        fingers: [null, null, 1, 1, 1], pinch: true });
+
+// ─── Built-in dynamic gestures ──────────────────────────────────────
+/** Palm travel (image widths) within SWIPE_SEC to count as a swipe */
+const SWIPE_DIST = 0.3;
+const SWIPE_SEC  = 0.5;
+
+function swipe(name, dx, dy) {
+  registerGesture({
+    name,
+    kind: 'dynamic',
+    detect(h) {
+      const last = h.count - 1;
+      for (let i = last - 1; i >= 0; i--) {
+        if (h.t(last) - h.t(i) > SWIPE_SEC) break;
+        const mx = h.x(last) - h.x(i);
+        const my = h.y(last) - h.y(i);
+        const along  = mx * dx + my * dy;
+        const across = Math.abs(mx * dy - my * dx);
+        if (along > SWIPE_DIST && along > 2 * across) return true;
+      }
+      return false;
+    },
+  });
+}
+
+// Image space: x grows to the right of the camera image, y grows down.
+// The feed is mirrored on screen, so image-left is the user's right.
+swipe('swipe_left',  1,  0);
+swipe('swipe_right', -1, 0);
+swipe('swipe_up',    0, -1);
+swipe('swipe_down',  0,  1);
+
+/**
+ * Minimum circle radius (image widths) — the path may not pass closer
+ * than half of it to its centroid — and minimum swept angle.
+ */
+const CIRCLE_MIN_R     = 0.04;
+const CIRCLE_MIN_SWEEP = Math.PI * 2 * 0.85;
+
+function circle(name, sign) {
+  registerGesture({
+    name,
+    kind: 'dynamic',
+    detect(h) {
+      if (h.count < 8) return false;
+      let cx = 0, cy = 0;
+      for (let i = 0; i < h.count; i++) { cx += h.x(i); cy += h.y(i); }
+      cx /= h.count;
+      cy /= h.count;
+
+      let sweep = 0;
+      let rMin  = Infinity;
+      let prev  = Math.atan2(h.y(0) - cy, h.x(0) - cx);
+      for (let i = 1; i < h.count; i++) {
+        const a = Math.atan2(h.y(i) - cy, h.x(i) - cx);
+        let d = a - prev;
+        if (d >  Math.PI) d -= 2 * Math.PI;
+        if (d < -Math.PI) d += 2 * Math.PI;
+        sweep += d;
+        prev = a;
+        rMin = Math.min(rMin, Math.hypot(h.x(i) - cx, h.y(i) - cy));
+      }
+      return rMin > CIRCLE_MIN_R * 0.5 && sweep * sign > CIRCLE_MIN_SWEEP;
+    },
+  });
+}
+
+// y grows down in image space, so a positive sweep is clockwise in the
+// camera image — which reads as counter-clockwise on the mirrored feed.
+circle('circle_cw',  -1);
+circle('circle_ccw',  1);
+
+// ─── Per-hand tracking state ────────────────────────────────────────
+function makeHistory() {
+  const xs = new Float64Array(HISTORY_LEN);
+  const ys = new Float64Array(HISTORY_LEN);
+  const ts = new Float64Array(HISTORY_LEN);
+  const h  = {
+    head:  0,
+    count: 0,
+    x: i => xs[(h.head + i) % HISTORY_LEN],
+    y: i => ys[(h.head + i) % HISTORY_LEN],
+    t: i => ts[(h.head + i) % HISTORY_LEN],
+    push(x, y, t) {
+      const k = (h.head + h.count) % HISTORY_LEN;
+      xs[k] = x; ys[k] = y; ts[k] = t;
+      if (h.count < HISTORY_LEN) h.count++; else h.head = (h.head + 1) % HISTORY_LEN;
+      while (h.count > 1 && t - h.t(0) > HISTORY_SEC) { h.head = (h.head + 1) % HISTORY_LEN; h.count--; }
+    },
+    clear() { h.head = 0; h.count = 0; },
+  };
+  return h;
+}
+
+const _hands = Object.fromEntries(HANDS.map(hand => [hand, {
+  history:   makeHistory(),
+  candidate: null,  // static gesture seen on the latest results
+  streak:    0,     // consecutive results with the same candidate
+  current:   null,  // reported static gesture name
+  flash:     null,  // last dynamic gesture name (shown for FLASH_SEC)
+  flashAt:   -Infinity,
+  coolUntil: 0,
+}]));
+
+/**
+ * Current static gesture per hand (name or null), for other modules.
+ * @type {Record<string, string|null>}
+ */
+export const currentGesture = Object.fromEntries(HANDS.map(h => [h, null]));
+
+/**
+ * Gesture event bus. Listen for 'gesture' events; detail is
+ * { hand, name, kind: 'static'|'dynamic', t }. A static event with
+ * name null means the previous pose was released.
+ */
+export const gestureEvents = new EventTarget();
+
+function emit(hand, name, kind, t) {
+  gestureEvents.dispatchEvent(new CustomEvent('gesture', { detail: { hand, name, kind, t } }));
+}
+
+// ─── Public API ─────────────────────────────────────────────────────
+/**
+ * Analyses one hand's landmarks for the latest MediaPipe result.
+ * Call once per result for every tracked hand.
+ *
+ * @param {string} hand - Handedness slot label.
+ * @param {Array<{x: number, y: number, z: number}>} lms - Image landmarks
+ *   (palm path).
+ * @param {Array<{x: number, y: number, z: number}>|undefined} world - World
+ *   landmarks (static pose); image landmarks stand in when missing.
+ * @param {number} t - Result time in seconds.
+ * @returns {ReturnType<typeof handFeatures>} The pose features.
+ */
+export function updateGestures(hand, lms, world, t) {
+  const s    = _hands[hand];
+  const feat = handFeatures(world ?? lms);
+
+  // Static pose, debounced over STABLE_FRAMES results
+  const g    = classifyStatic(feat);
+  const name = g ? g.name : null;
+  if (name === s.candidate) s.streak++;
+  else { s.candidate = name; s.streak = 1; }
+
+  if (s.streak >= STABLE_FRAMES && name !== s.current) {
+    s.current = name;
+    currentGesture[hand] = name;
+    emit(hand, name, 'static', t);
+  }
+
+  // Dynamic gestures from the palm-centre path (wrist + middle MCP)
+  s.history.push((lms[0].x + lms[9].x) / 2, (lms[0].y + lms[9].y) / 2, t);
+
+  if (t >= s.coolUntil) {
+    for (const dg of _gestures) {
+      if (dg.kind !== 'dynamic' || !dg.detect(s.history)) continue;
+      s.flash     = dg.name;
+      s.flashAt   = t;
+      s.coolUntil = t + COOLDOWN_SEC;
+      s.history.clear();
+      emit(hand, dg.name, 'dynamic', t);
+      break;
+    }
+  }
+
+  return feat;
+}
+
+/**
+ * Clears a hand's state when it is lost, releasing any held pose.
+ * @param {string} hand
+ * @param {number} t - Time in seconds.
+ */
+export function resetGestures(hand, t) {
+  const s = _hands[hand];
+  s.history.clear();
+  s.candidate = null;
+  s.streak    = 0;
+  if (s.current !== null) {
+    s.current = null;
+    currentGesture[hand] = null;
+    emit(hand, null, 'static', t);
+  }
+}
+
+/**
+ * Pushes a status-bar label for the tracked hands: a recent dynamic
+ * gesture wins over the held static pose.
+ * @param {string[]} hands - Tracked hand labels, in display order.
+ * @param {number}   t     - Time in seconds.
+ */
+export function publishGestures(hands, t) {
+  const label = hands.map(hand => {
+    const s = _hands[hand];
+    const n = t - s.flashAt < FLASH_SEC ? s.flash : s.current;
+    return n ? n.toUpperCase().replace(/_/g, ' ') : '-';
+  }).join(' | ');
+  setGestureData(label || '-');
+}
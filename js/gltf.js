@@ -0,0 +1,181 @@
+/**
+ * gltf.js
+ * Binary glTF (.glb) export of a recorded take as a skinned, animated rig.
+ *
+ * Per recorded hand:
+ *  - a THREE.Bone hierarchy mirroring skeleton.js (21 joints, Wrist root)
+ *  - a SkinnedMesh built from the same primitives as the live view in
+ *    hand.js (joint spheres + bone cylinders, same materials), each part
+ *    rigidly weighted to the joint that drives it
+ *  - quaternion tracks per joint and a position track for the Wrist,
+ *    keyed at the recorded `t` timestamps
+ *  - in metres, from the world landmarks (skeleton.js exportPoses), for
+ *    takes that have them
+ *
+ * Everything goes into one AnimationClip and is written by
+ * THREE.GLTFExporter (examples/js build, loaded in index.html).
+ */
+
+/* global THREE */
+import { NJ, CONNECTIONS, LANDMARK_NAMES } from './config.js';
+import { PARENT, ORDER, buildRest,
+         solvePose, exportPoses } from './skeleton.js';
+import { jointMat, boneMat } from './hand.js';
+
+// Same dimensions as the live InstancedMesh primitives in hand.js
+const JOINT_RADIUS = 0.011;
+const BONE_RADIUS  = 0.005;
+
+const WRIST = ORDER[0];
+const UP    = new THREE.Vector3(0, 1, 0);
+
+// ─── Skinned geometry ────────────────────────────────────────────────
+/**
+ * Merges rigid parts into one skinned BufferGeometry.
+ * Parts are grouped by material slot (0 = joints, 1 = bones).
+ *
+ * @param {Array<{geo: THREE.BufferGeometry, matrix: THREE.Matrix4,
+ *                bone: number, slot: number}>} parts
+ */
+function mergeSkinned(parts) {
+  const pos = [], nrm = [], skinIdx = [], skinW = [], index = [];
+  const geo = new THREE.BufferGeometry();
+
+  for (const slot of [0, 1]) {
+    const start = index.length;
+
+    for (const part of parts.filter(p => p.slot === slot)) {
+      const g    = part.geo.clone().applyMatrix4(part.matrix);
+      const base = pos.length / 3;
+      const p    = g.attributes.position;
+      const n    = g.attributes.normal;
+
+      for (let v = 0; v < p.count; v++) {
+        pos.push(p.getX(v), p.getY(v), p.getZ(v));
+        nrm.push(n.getX(v), n.getY(v), n.getZ(v));
+        skinIdx.push(part.bone, 0, 0, 0);
+        skinW.push(1, 0, 0, 0);
+      }
+      for (let k = 0; k < g.index.count; k++) index.push(base + g.index.getX(k));
+    }
+
+    geo.addGroup(start, index.length - start, slot);
+  }
+
+  geo.setAttribute('position',   new THREE.Float32BufferAttribute(pos, 3));
+  geo.setAttribute('normal',     new THREE.Float32BufferAttribute(nrm, 3));
+  geo.setAttribute('skinIndex',  new THREE.Uint16BufferAttribute(skinIdx, 4));
+  geo.setAttribute('skinWeight', new THREE.Float32BufferAttribute(skinW, 4));
+  geo.setIndex(index);
+  return geo;
+}
+
+/** Joint that drives bone a–b: the parent end, or the Wrist for palm braces. */
+function driver(a, b) {
+  if (PARENT[b] === a) return a;
+  if (PARENT[a] === b) return b;
+  return WRIST;
+}
+
+function buildHandMesh(rest) {
+  const sphere = new THREE.SphereGeometry(JOINT_RADIUS, 8, 6);
+  const parts  = [];
+
+  for (let i = 0; i < NJ; i++) {
+    parts.push({
+      geo:    sphere,
+      matrix: new THREE.Matrix4().makeTranslation(rest.positions[i].x, rest.positions[i].y, rest.positions[i].z),
+      bone:   i,
+      slot:   0,
+    });
+  }
+
+  for (const [a, b] of CONNECTIONS) {
+    const pa  = rest.positions[a];
+    const dir = new THREE.Vector3().subVectors(rest.positions[b], pa);
+    const len = dir.length();
+    if (len < 0.001) continue;
+
+    const mid = pa.clone().addScaledVector(dir, 0.5);
+    const q   = new THREE.Quaternion().setFromUnitVectors(UP, dir.divideScalar(len));
+    parts.push({
+      geo:    new THREE.CylinderGeometry(BONE_RADIUS, BONE_RADIUS, len, 6),
+      matrix: new THREE.Matrix4().compose(mid, q, new THREE.Vector3(1, 1, 1)),
+      bone:   driver(a, b),
+      slot:   1,
+    });
+  }
+
+  return mergeSkinned(parts);
+}
+
+// ─── Rig + tracks for one hand ───────────────────────────────────────
+function buildHandRig(frames, hand) {
+  const all   = exportPoses(frames, hand).poses; // metres where recorded
+  const keyed = frames.filter(f => f.hands[hand]);
+  const poses = all.filter(Boolean);
+  const rest  = buildRest(poses);
+
+  const bones = LANDMARK_NAMES.map(name => {
+    const bone = new THREE.Bone();
+    bone.name  = `${hand}_${name}`;
+    return bone;
+  });
+  for (const i of ORDER) {
+    bones[i].position.copy(rest.offsets[i]);
+    if (PARENT[i] >= 0) bones[PARENT[i]].add(bones[i]);
+  }
+
+  const mesh = new THREE.SkinnedMesh(buildHandMesh(rest), [jointMat.clone(), boneMat.clone()]);
+  mesh.name  = `${hand}_Hand`;
+  mesh.add(bones[WRIST]);
+  mesh.updateMatrixWorld(true);
+  mesh.bind(new THREE.Skeleton(bones));
+
+  // Keyframes at the recorded timestamps; missing frames are left to
+  // glTF's linear interpolation between neighbouring keys.
+  const times  = keyed.map(f => f.t);
+  const rootXYZ = [];
+  const quats   = bones.map(() => []);
+
+  for (const p of poses) {
+    const { root, local } = solvePose(p, rest);
+    rootXYZ.push(root.x, root.y, root.z);
+    local.forEach((q, i) => quats[i].push(q.x, q.y, q.z, q.w));
+  }
+
+  const tracks = [new THREE.VectorKeyframeTrack(`${bones[WRIST].name}.position`, times, rootXYZ)];
+  bones.forEach((bone, i) => {
+    tracks.push(new THREE.QuaternionKeyframeTrack(`${bone.name}.quaternion`, times, quats[i]));
+  });
+
+  return { mesh, tracks };
+}
+
+// ─── Public API ─────────────────────────────────────────────────────
+/**
+ * Builds a .glb containing one skinned, animated rig per recorded hand.
+ *
+ * @param {Array<{t: number, hands: object}>} frames - recFrames.
+ * @param {string[]} hands - Handedness labels present in the take.
+ * @returns {Promise<ArrayBuffer>}
+ */
+export function buildGLB(frames, hands) {
+  const scene  = new THREE.Scene();
+  const tracks = [];
+
+  for (const hand of hands) {
+    const rig = buildHandRig(frames, hand);
+    scene.add(rig.mesh);
+    tracks.push(...rig.tracks);
+  }
+
+  const clip = new THREE.AnimationClip('HandTake', frames[frames.length - 1].t, tracks);
+
+  return new Promise(resolve => {
+    new THREE.GLTFExporter().parse(scene, resolve, {
+      binary:     true,
+      animations: [clip],
+    });
+  });
+}
@@ -1,17 +1,23 @@
 /**
  * hand.js
  * Three.js hand geometry: two InstancedMeshes (joints + bones)
- * and a Points glow layer.
+ * and a Points glow layer, shared by every tracked hand.
+ *
+ * Tracked hands are packed contiguously into the instance buffers
+ * (hand 0 → instances 0…NJ-1, hand 1 → NJ…2NJ-1) and the mesh count
+ * is trimmed to the number of hands currently present.
  *
  * Performance contract:
- *  - Only 2 draw calls for the entire hand skeleton.
+ *  - Only 2 draw calls for all hand skeletons.
  *  - All scratch objects are pre-allocated at module load.
  *  - updateJointInstances() and updateBoneInstances() perform
  *    zero heap allocations per call.
  */
 
 /* global THREE */
-import { NJ, NC, CONNECTIONS, TIPS } from './config.js';
+import { NJ, NC, CONNECTIONS, TIPS,
+         HANDS, MAX_HANDS }           from './config.js';
+import { state }                      from './state.js';
 import { smoothPos }                  from './smoothing.js';
 
 // ─── Colours ───────────────────────────────────────────────────────
@@ -40,13 +46,13 @@ export const boneMat = new THREE.MeshStandardMaterial({
 export const jointMesh = new THREE.InstancedMesh(
   new THREE.SphereGeometry(0.011, 8, 6),
   jointMat,
-  NJ,
+  NJ * MAX_HANDS,
 );
 jointMesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
 
-// Per-instance colour: tips = magenta, others = cyan
-for (let i = 0; i < NJ; i++) {
-  jointMesh.setColorAt(i, TIPS.has(i) ? MAGENTA : CYAN);
+// Per-instance colour: tips = magenta, others = cyan (same for every hand)
+for (let i = 0; i < NJ * MAX_HANDS; i++) {
+  jointMesh.setColorAt(i, TIPS.has(i % NJ) ? MAGENTA : CYAN);
 }
 jointMesh.instanceColor.needsUpdate = true;
 jointMesh.visible = false;
@@ -55,13 +61,13 @@ jointMesh.visible = false;
 export const boneMesh = new THREE.InstancedMesh(
   new THREE.CylinderGeometry(0.005, 0.005, 1, 6),
   boneMat,
-  NC,
+  NC * MAX_HANDS,
 );
 boneMesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
 boneMesh.visible = false;
 
 // ─── Glow particles ─────────────────────────────────────────────────
-export const glowBuf = new Float32Array(NJ * 3);
+export const glowBuf = new Float32Array(NJ * 3 * MAX_HANDS);
 const _glowGeo = new THREE.BufferGeometry();
 _glowGeo.setAttribute('position', new THREE.BufferAttribute(glowBuf, 3));
 
@@ -93,54 +99,79 @@ const _zero  = new THREE.Matrix4().makeScale(0, 0, 0); // hides a bone instance
 // ─── Hot path: update joint instance matrices ───────────────────────
 /**
  * Writes a compose(position, identity, scale=1) matrix for each joint
- * and copies positions into the glow particle buffer.
+ * of every present hand and copies positions into the glow particle buffer.
  * Zero allocations.
  */
 export function updateJointInstances() {
-  for (let i = 0; i < NJ; i++) {
-    const p = smoothPos[i];
-    _v0.set(p.x, p.y, p.z);
-    _m.compose(_v0, _iq, _os);
-    jointMesh.setMatrixAt(i, _m);
-
-    const b = i * 3;
-    glowBuf[b]     = p.x;
-    glowBuf[b + 1] = p.y;
-    glowBuf[b + 2] = p.z;
+  let slot = 0;
+
+  for (let h = 0; h < HANDS.length; h++) {
+    if (!state.present[HANDS[h]]) continue;
+    const pos  = smoothPos[HANDS[h]];
+    const base = slot * NJ;
+
+    for (let i = 0; i < NJ; i++) {
+      const p = pos[i];
+      _v0.set(p.x, p.y, p.z);
+      _m.compose(_v0, _iq, _os);
+      jointMesh.setMatrixAt(base + i, _m);
+
+      const b = (base + i) * 3;
+      glowBuf[b]     = p.x;
+      glowBuf[b + 1] = p.y;
+      glowBuf[b + 2] = p.z;
+    }
+
+    slot++;
   }
 
+  jointMesh.count = slot * NJ;
+  _glowGeo.setDrawRange(0, slot * NJ);
+
   jointMesh.instanceMatrix.needsUpdate = true;
   _glowGeo.attributes.position.needsUpdate = true;
 }
 
 // ─── Hot path: update bone instance matrices ────────────────────────
 /**
- * For each bone: computes midpoint, direction, length, then builds
- * a matrix that places a unit cylinder between the two joint positions.
+ * For each bone of every present hand: computes midpoint, direction,
+ * length, then builds a matrix that places a unit cylinder between
+ * the two joint positions.
  * Zero allocations.
  */
 export function updateBoneInstances() {
-  for (let i = 0; i < NC; i++) {
-    const [a, b] = CONNECTIONS[i];
-    const pa = smoothPos[a];
-    const pb = smoothPos[b];
-
-    _v0.set(pa.x, pa.y, pa.z);
-    _v1.set(pb.x, pb.y, pb.z);
-    _vMid.addVectors(_v0, _v1).multiplyScalar(0.5);
-    _v1.sub(_v0); // direction vector
-
-    const len = _v1.length();
-    if (len < 0.001) {
-      boneMesh.setMatrixAt(i, _zero);
-      continue;
+  let slot = 0;
+
+  for (let h = 0; h < HANDS.length; h++) {
+    if (!state.present[HANDS[h]]) continue;
+    const pos  = smoothPos[HANDS[h]];
+    const base = slot * NC;
+
+    for (let i = 0; i < NC; i++) {
+      const [a, b] = CONNECTIONS[i];
+      const pa = pos[a];
+      const pb = pos[b];
+
+      _v0.set(pa.x, pa.y, pa.z);
+      _v1.set(pb.x, pb.y, pb.z);
+      _vMid.addVectors(_v0, _v1).multiplyScalar(0.5);
+      _v1.sub(_v0); // direction vector
+
+      const len = _v1.length();
+      if (len < 0.001) {
+        boneMesh.setMatrixAt(base + i, _zero);
+        continue;
+      }
+
+      _q.setFromUnitVectors(_vUp, _v1.divideScalar(len));
+      _s.set(1, len, 1);
+      _m.compose(_vMid, _q, _s);
+      boneMesh.setMatrixAt(base + i, _m);
     }
 
-    _q.setFromUnitVectors(_vUp, _v1.divideScalar(len));
-    _s.set(1, len, 1);
-    _m.compose(_vMid, _q, _s);
-    boneMesh.setMatrixAt(i, _m);
+    slot++;
   }
 
+  boneMesh.count = slot * NC;
   boneMesh.instanceMatrix.needsUpdate = true;
 }
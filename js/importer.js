@@ -0,0 +1,182 @@
+/**
+ * importer.js
+ * Loads a previously exported take back into the app.
+ *
+ * Accepts hand_animation.json directly, or the ZIP written by
+ * downloadZip() (the JSON is pulled out with JSZip). Input comes from
+ * the IMPORT button's file picker or a file dropped anywhere on the page.
+ *
+ * The payload is validated against the export schema before anything
+ * is touched; on success the frames replace recFrames via loadTake().
+ */
+
+import { NJ, HANDS }      from './config.js';
+import { state }          from './state.js';
+import { loadTake,
+         SOURCE_EDIT }    from './recording.js';
+import { exitPlayback }   from './playback.js';
+import { ANGLE_NAMES }    from './kinematics.js';
+import { QUALITY_NAMES }  from './quality.js';
+import { DEFAULT_EDIT }   from './retime.js';
+
+/** Export schema versions this importer understands */
+const SUPPORTED = ['2.0', '3.0'];
+
+/** Hand label given to single-hand v2.0 frames (which had no handedness) */
+const V2_HAND = 'Right';
+
+const JSON_NAME = 'hand_animation.json';
+
+// ─── Validation ─────────────────────────────────────────────────────
+function fail(msg) {
+  throw new Error(msg);
+}
+
+function checkLm(lm, where, key = 'lm') {
+  if (!Array.isArray(lm)) fail(`${where}: "${key}" must be an array`);
+  if (lm.length !== NJ * 3) {
+    fail(`${where}: expected ${NJ} landmarks (${NJ * 3} numbers), got ${lm.length} numbers`);
+  }
+  if (!lm.every(Number.isFinite)) fail(`${where}: "${key}" contains non-numeric values`);
+}
+
+/**
+ * Validates an exported payload and returns frames in the current
+ * in-memory shape ({ t, hands: { <label>: { lm, ... } } }).
+ * Throws an Error with a user-readable message on the first problem.
+ */
+function parsePayload(data) {
+  if (!data || typeof data !== 'object') fail('Not a Hand.Track export (expected a JSON object)');
+
+  if (!SUPPORTED.includes(data.version)) {
+    fail(`Unsupported version ${JSON.stringify(data.version)} (expected ${SUPPORTED.join(' or ')})`);
+  }
+  if (data.landmarks !== NJ) {
+    fail(`Wrong landmark count: file has ${data.landmarks}, this app tracks ${NJ}`);
+  }
+  if (!Array.isArray(data.frames) || data.frames.length === 0) fail('File contains no frames');
+
+  // Angle tables in another column layout are dropped rather than
+  // mislabelled; exports recompute them from `world`.
+  const sameAngles  = JSON.stringify(data.angles?.names) === JSON.stringify(ANGLE_NAMES);
+  const sameQuality = JSON.stringify(data.quality?.names) === JSON.stringify(QUALITY_NAMES);
+  const numbers     = (v, n) => Array.isArray(v) && v.length === n && v.every(Number.isFinite);
+
+  let lastT = -Infinity;
+
+  return data.frames.map((f, i) => {
+    const where = `Frame ${i}`;
+    if (!f || typeof f !== 'object') fail(`${where}: not an object`);
+    if (!Number.isFinite(f.t)) fail(`${where}: missing or invalid timestamp "t"`);
+    if (f.t < lastT) fail(`${where}: timestamps go backwards (${f.t} < ${lastT})`);
+    lastT = f.t;
+    if (f.dropped !== undefined && !(Number.isInteger(f.dropped) && f.dropped > 0)) delete f.dropped;
+
+    if (data.version === '2.0') {
+      checkLm(f.lm, where);
+      return { t: f.t, hands: { [V2_HAND]: { lm: f.lm } } };
+    }
+
+    if (!f.hands || typeof f.hands !== 'object') fail(`${where}: missing "hands" object`);
+
+    for (const [label, hand] of Object.entries(f.hands)) {
+      if (!HANDS.includes(label)) fail(`${where}: unknown hand "${label}"`);
+      checkLm(hand?.lm, `${where} (${label})`);
+      for (const key of ['world', 'lmRaw', 'worldRaw']) {
+        if (hand[key] !== undefined) checkLm(hand[key], `${where} (${label})`, key);
+      }
+      if (!sameAngles || !Array.isArray(hand.ang) || hand.ang.length !== ANGLE_NAMES.length) {
+        delete hand.ang;
+      }
+      if (!sameQuality || !numbers(hand.q, QUALITY_NAMES.length)) delete hand.q;
+      if (!numbers(hand.jit, NJ)) delete hand.jit;
+    }
+    return f;
+  });
+}
+
+/**
+ * The edit an imported take starts with: the file's own timing, so an
+ * unedited re-export loses nothing. Uniform files keep their rate;
+ * source-timed ones, and files without a usable rate, their timestamps.
+ */
+function importEdit(data) {
+  if (data.timing !== 'source' && Number.isFinite(data.fps) && data.fps > 0) {
+    return { ...DEFAULT_EDIT, fps: data.fps };
+  }
+  return SOURCE_EDIT;
+}
+
+// ─── File reading ───────────────────────────────────────────────────
+async function readFile(file) {
+  const isZip = /\.zip$/i.test(file.name) || file.type === 'application/zip';
+  if (!isZip) return file.text();
+
+  const zip   = await window.JSZip.loadAsync(file);
+  const entry = zip.file(JSON_NAME)
+             ?? zip.file(/\.json$/i).find(e => !e.dir);
+  if (!entry) fail(`ZIP does not contain ${JSON_NAME}`);
+  return entry.async('string');
+}
+
+/**
+ * Reads, validates and loads one file. Reports the outcome in the
+ * record panel hint.
+ */
+async function importFile(file) {
+  const hint = document.getElementById('rhint');
+  if (state.isRecording) return;
+  if (state.isCapturingOffline) {
+    hint.classList.add('err');
+    hint.textContent = '✕ Finish or cancel the offline capture before importing';
+    return;
+  }
+
+  try {
+    let data;
+    try {
+      data = JSON.parse(await readFile(file));
+    } catch (err) {
+      if (err instanceof SyntaxError) fail('File is not valid JSON');
+      throw err;
+    }
+
+    const frames = parsePayload(data);
+    exitPlayback();
+    loadTake(frames, file.name, null, importEdit(data));
+  } catch (err) {
+    hint.classList.add('err');
+    hint.textContent = `✕ Import failed — ${err.message}`;
+    console.error('[importer]', err);
+  }
+}
+
+// ─── Public API ─────────────────────────────────────────────────────
+/** Wires the IMPORT button, its hidden file input and page-wide drop. */
+export function initImport() {
+  const btn   = document.getElementById('impbtn');
+  const input = document.getElementById('impfile');
+
+  btn.addEventListener('click', () => input.click());
+  input.addEventListener('change', () => {
+    if (input.files[0]) importFile(input.files[0]);
+    input.value = ''; // allow re-importing the same file
+  });
+
+  window.addEventListener('dragover', e => {
+    if (!e.dataTransfer?.types.includes('Files')) return;
+    e.preventDefault();
+    document.body.classList.add('dropping');
+  });
+
+  window.addEventListener('dragleave', e => {
+    if (e.relatedTarget === null) document.body.classList.remove('dropping');
+  });
+
+  window.addEventListener('drop', e => {
+    e.preventDefault();
+    document.body.classList.remove('dropping');
+    const file = e.dataTransfer?.files[0];
+    if (file) importFile(file);
+  });
+}
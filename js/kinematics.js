@@ -0,0 +1,261 @@
+/**
+ * kinematics.js
+ * Joint angles derived from the smoothed pose, per hand and per frame.
+ *
+ * Angles are computed from the metric world landmarks (smoothWorld),
+ * which share smoothPos's filtering but not its distortions: screen
+ * space stretches x and y by the video's aspect ratio and scales depth
+ * arbitrarily, which would bend every angle. A hand without world data
+ * (e.g. an imported take recorded before it existed) reports NaN.
+ *
+ * Per finger (names from LANDMARK_NAMES):
+ *  - <MCP|PIP|DIP>_Flex — flexion in degrees, 0 = straight. MCP flexion
+ *    is measured in the finger's sagittal plane, so it excludes spread.
+ *    Unsigned: hyperextension also reads as a positive angle.
+ *  - <Finger>_Abd — direction of the proximal phalanx in the palm plane,
+ *    measured from the hand's midline (wrist → middle MCP) as is usual
+ *    clinically; degrees, positive towards the thumb side.
+ * Thumb: CMC / MCP / IP flexion, Thumb_Abd (angle between the thumb and
+ * index metacarpals) and Thumb_Opp (tip ↔ pinky MCP in palm widths;
+ * smaller = more opposed).
+ * Wrist: orientation of the palm relative to the camera as ZXY Euler
+ * angles — Roll in the image plane, Pitch towards the camera, Twist
+ * about the palm axis. There are no forearm landmarks, so this is not
+ * wrist flexion.
+ *
+ * computeAngles() allocates nothing; updateKinematics() runs it once
+ * per render frame and refreshes the HUD at a throttled rate.
+ */
+
+import { HANDS, FINGERS,
+         LANDMARK_NAMES, opts } from './config.js';
+import { state }                from './state.js';
+import { smoothWorld }          from './smoothing.js';
+
+const RAD2DEG = 180 / Math.PI;
+
+// Palm landmarks
+const WRIST      = 0;
+const INDEX_MCP  = 5;
+const MIDDLE_MCP = 9;
+const PINKY_MCP  = 17;
+
+/** Render frames between HUD refreshes */
+const HUD_EVERY = 6;
+
+// ─── Angle table layout ─────────────────────────────────────────────
+const prefix = i => LANDMARK_NAMES[i].split('_')[0];
+
+/**
+ * Column names, in the order of every angle array (live, recorded and
+ * exported): per finger thumb → pinky the three joint flexions and the
+ * abduction, then Thumb_Opp and the three wrist angles.
+ */
+export const ANGLE_NAMES = [
+  ...FINGERS.flatMap(([a, b, c]) => [
+    `${LANDMARK_NAMES[a]}_Flex`,
+    `${LANDMARK_NAMES[b]}_Flex`,
+    `${LANDMARK_NAMES[c]}_Flex`,
+    `${prefix(a)}_Abd`,
+  ]),
+  'Thumb_Opp',
+  'Wrist_Roll', 'Wrist_Pitch', 'Wrist_Twist',
+];
+
+const OPP       = FINGERS.length * 4; // index of Thumb_Opp
+const WRIST_ANG = OPP + 1;            // index of Wrist_Roll
+
+/** Unit per column: degrees everywhere except the opposition ratio. */
+export const ANGLE_UNITS = ANGLE_NAMES.map(n => (n === 'Thumb_Opp' ? 'palm widths' : 'deg'));
+
+/**
+ * Latest angles per hand (NaN when unavailable), read by recording.js.
+ * @type {Record<string, Float32Array>}
+ */
+export const jointAngles = Object.fromEntries(
+  HANDS.map(h => [h, new Float32Array(ANGLE_NAMES.length).fill(NaN)]),
+);
+
+// ─── Vector scratch (no allocations per frame) ──────────────────────
+const _r = new Float64Array(3); // palm radial axis (towards the thumb)
+const _y = new Float64Array(3); // palm axis (wrist → middle MCP)
+const _n = new Float64Array(3); // palm normal
+const _u = new Float64Array(3);
+const _v = new Float64Array(3);
+
+const sub = (o, a, b) => { o[0] = a.x - b.x; o[1] = a.y - b.y; o[2] = a.z - b.z; return o; };
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const len = a => Math.hypot(a[0], a[1], a[2]);
+
+function normalize(a) {
+  const l = len(a) || 1;
+  a[0] /= l; a[1] /= l; a[2] /= l;
+  return a;
+}
+
+/** Removes the component of `a` along unit vector `axis`. */
+function reject(a, axis) {
+  const d = dot(a, axis);
+  a[0] -= axis[0] * d; a[1] -= axis[1] * d; a[2] -= axis[2] * d;
+  return a;
+}
+
+/** Unsigned angle between two vectors, degrees. */
+function angle(a, b) {
+  const d = len(a) * len(b);
+  if (d < 1e-12) return 0;
+  return Math.acos(Math.max(-1, Math.min(1, dot(a, b) / d))) * RAD2DEG;
+}
+
+/** Bend at b of the chain a → b → c, degrees; 0 when in line. */
+function bend(pts, a, b, c) {
+  return angle(sub(_u, pts[b], pts[a]), sub(_v, pts[c], pts[b]));
+}
+
+/** Heading of `a` in the palm plane from _y, degrees, positive towards _r. */
+const heading = a => Math.atan2(dot(a, _r), dot(a, _y)) * RAD2DEG;
+
+// ─── Public: angles of one pose ─────────────────────────────────────
+/**
+ * Fills `out` (ANGLE_NAMES order) from 21 metric landmark positions.
+ *
+ * @param {Array<{x: number, y: number, z: number}>} pts
+ * @param {Float32Array|number[]} out
+ * @returns {Float32Array|number[]} out
+ */
+export function computeAngles(pts, out) {
+  // Palm frame: _y along the palm, _r across it towards the index
+  // side, _n = _r × _y out of the palm.
+  normalize(sub(_y, pts[MIDDLE_MCP], pts[WRIST]));
+  normalize(reject(sub(_r, pts[INDEX_MCP], pts[PINKY_MCP]), _y));
+  _n[0] = _r[1] * _y[2] - _r[2] * _y[1];
+  _n[1] = _r[2] * _y[0] - _r[0] * _y[2];
+  _n[2] = _r[0] * _y[1] - _r[1] * _y[0];
+
+  for (let f = 0; f < FINGERS.length; f++) {
+    const [a, b, c, tip] = FINGERS[f];
+    const o = f * 4;
+
+    if (f === 0) {
+      // Thumb: plain 3D bends along the chain from the wrist
+      out[o]     = bend(pts, WRIST, a, b);
+      out[o + 3] = angle(sub(_u, pts[b], pts[a]), sub(_v, pts[INDEX_MCP], pts[WRIST]));
+    } else {
+      // MCP: flexion in the finger's sagittal plane, spread in the palm plane
+      sub(_u, pts[a], pts[WRIST]);
+      sub(_v, pts[b], pts[a]);
+      out[o + 3] = heading(_v);
+      out[o]     = angle(reject(_u, _r), reject(_v, _r));
+    }
+    out[o + 1] = bend(pts, a, b, c);
+    out[o + 2] = bend(pts, b, c, tip);
+  }
+
+  const palmW = Math.max(len(sub(_u, pts[INDEX_MCP], pts[PINKY_MCP])), 1e-9);
+  out[OPP] = len(sub(_u, pts[FINGERS[0][3]], pts[PINKY_MCP])) / palmW;
+
+  // Palm orientation matrix [_r _y _n] as ZXY Euler angles
+  out[WRIST_ANG]     = Math.atan2(-_y[0], _y[1]) * RAD2DEG;
+  out[WRIST_ANG + 1] = Math.asin(Math.max(-1, Math.min(1, _y[2]))) * RAD2DEG;
+  out[WRIST_ANG + 2] = Math.atan2(-_r[2], _n[2]) * RAD2DEG;
+  return out;
+}
+
+/**
+ * Angles of a flat [x0,y0,z0,...] metric landmark array (export time,
+ * offline capture — allocates).
+ * @param {number[]} flat
+ * @returns {number[]}
+ */
+export function anglesFromFlat(flat) {
+  const pts = Array.from({ length: flat.length / 3 }, (_, i) => ({
+    x: flat[i * 3], y: flat[i * 3 + 1], z: flat[i * 3 + 2],
+  }));
+  return computeAngles(pts, new Array(ANGLE_NAMES.length));
+}
+
+// ─── HUD ────────────────────────────────────────────────────────────
+let _dom     = null;
+let _hudTick = 0;
+
+/**
+ * Builds one table per hand inside #kpanel: a row per finger with the
+ * three flexions and the abduction, then opposition and wrist angles.
+ * cells[hand][k] is the element showing ANGLE_NAMES[k].
+ */
+function getKinDom() {
+  if (_dom) return _dom;
+
+  const panel = document.getElementById('kpanel');
+  const el    = (tag, cls, text) => {
+    const e = document.createElement(tag);
+    if (cls)  e.className   = cls;
+    if (text) e.textContent = text;
+    return e;
+  };
+
+  _dom = { panel, blocks: {}, cells: {} };
+
+  for (const hand of HANDS) {
+    const block = el('section', 'kh');
+    const table = el('table');
+    const cells = new Array(ANGLE_NAMES.length);
+
+    const head = el('tr');
+    for (const t of [hand.toUpperCase(), 'MCP', 'PIP', 'DIP', 'ABD']) head.append(el('th', '', t));
+    table.append(head);
+
+    FINGERS.forEach(([a], f) => {
+      const row = el('tr');
+      row.append(el('th', '', prefix(a)));
+      for (let k = 0; k < 4; k++) row.append(cells[f * 4 + k] = el('td'));
+      table.append(row);
+    });
+
+    const extra = el('div', 'kx');
+    extra.append(el('span', '', 'OPP '), cells[OPP] = el('b'));
+    extra.append(el('span', '', ' WRIST R '), cells[WRIST_ANG] = el('b'));
+    extra.append(el('span', '', ' P '), cells[WRIST_ANG + 1] = el('b'));
+    extra.append(el('span', '', ' T '), cells[WRIST_ANG + 2] = el('b'));
+
+    block.append(table, extra);
+    panel.append(block);
+    _dom.blocks[hand] = block;
+    _dom.cells[hand]  = cells;
+  }
+  return _dom;
+}
+
+function renderHUD() {
+  const d = getKinDom();
+  let shown = false;
+
+  for (const hand of HANDS) {
+    const on = opts.angles && state.present[hand] && state.world[hand];
+    d.blocks[hand].hidden = !on;
+    if (!on) continue;
+    shown = true;
+
+    const a = jointAngles[hand];
+    d.cells[hand].forEach((cell, k) => {
+      cell.textContent = k === OPP ? a[k].toFixed(2) : Math.round(a[k]) + '°';
+    });
+  }
+  d.panel.classList.toggle('visible', shown);
+}
+
+// ─── Public: per-frame update (called by renderer) ──────────────────
+/** Recomputes jointAngles for every present hand from smoothWorld. */
+export function updateKinematics() {
+  for (const hand of HANDS) {
+    if (state.present[hand] && state.world[hand]) {
+      computeAngles(smoothWorld[hand], jointAngles[hand]);
+    } else {
+      jointAngles[hand].fill(NaN);
+    }
+  }
+
+  if (++_hudTick < HUD_EVERY) return;
+  _hudTick = 0;
+  renderHUD();
+}
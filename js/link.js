@@ -0,0 +1,92 @@
+/**
+ * link.js
+ * Self-healing WebSocket connection shared by the live outputs
+ * (streaming.js, osc.js).
+ *
+ * A link keeps retrying a lost or refused connection with exponential
+ * backoff until it is closed on purpose, and reports every change
+ * through onStatus so the owner can drive its header dot.
+ */
+
+// ─── Constants ──────────────────────────────────────────────────────
+const RETRY_MIN_MS = 1000;
+const RETRY_MAX_MS = 10000;
+/** A link reports busy while more than this is waiting to be sent */
+const MAX_BUFFERED = 256 * 1024;
+
+/**
+ * @typedef {object} Link
+ * @property {(url: string) => void} open  - (Re)connects to url.
+ * @property {() => void}            close - Disconnects and stops retrying.
+ * @property {() => boolean}         ready - Open and not backed up.
+ * @property {(data: string|ArrayBufferView|ArrayBuffer) => void} send
+ */
+
+/**
+ * @param {object}   handlers
+ * @param {(ws: WebSocket) => void} handlers.onOpen - Connected (send a greeting here).
+ * @param {(mode: 'off'|'wait'|'on', text: string) => void} handlers.onStatus
+ * @returns {Link}
+ */
+export function createLink({ onOpen, onStatus }) {
+  let ws      = null;
+  let url     = '';
+  let retry   = null;  // setTimeout handle of the pending reconnect
+  let retryMs = RETRY_MIN_MS;
+
+  function connect() {
+    retry = null;
+
+    let sock;
+    try {
+      sock = new WebSocket(url);
+    } catch (_) {
+      onStatus('wait', 'INVALID URL');
+      return; // nothing to retry until the URL changes
+    }
+
+    sock.binaryType = 'arraybuffer';
+    ws = sock;
+    onStatus('wait', 'CONNECTING…');
+
+    sock.addEventListener('open', () => {
+      if (sock !== ws) return;
+      retryMs = RETRY_MIN_MS;
+      onStatus('on', 'CONNECTED');
+      onOpen(sock);
+    });
+
+    sock.addEventListener('close', () => {
+      if (sock !== ws) return; // replaced or closed on purpose
+      ws = null;
+      onStatus('wait', `RETRY IN ${Math.round(retryMs / 1000)}s`);
+      retry   = setTimeout(connect, retryMs);
+      retryMs = Math.min(retryMs * 2, RETRY_MAX_MS);
+    });
+  }
+
+  function close() {
+    clearTimeout(retry);
+    retry   = null;
+    retryMs = RETRY_MIN_MS;
+    if (ws) {
+      const sock = ws;
+      ws = null;
+      sock.close();
+    }
+  }
+
+  return {
+    open(u) {
+      close();
+      url = u;
+      connect();
+    },
+    close() {
+      close();
+      onStatus('off', 'OFF');
+    },
+    ready: () => ws !== null && ws.readyState === WebSocket.OPEN && ws.bufferedAmount <= MAX_BUFFERED,
+    send:  data => ws.send(data),
+  };
+}
@@ -12,32 +12,23 @@
  */
 
 import { DOM, setProgress }          from './ui.js';
+import { startWebcam, initSource }   from './source.js';
 import { startRenderLoop }           from './renderer.js';
 import { initTracking, startMPLoop } from './tracking.js';
 import { initRecording }             from './recording.js';
 import { initExport }                from './export.js';
+import { initTakes }                 from './takes.js';
+import { initPlayback }              from './playback.js';
+import { initEditor }                from './editor.js';
+import { initImport }                from './importer.js';
+import { initTriggers }              from './triggers.js';
+import { initOsc }                   from './osc.js';
 import { initSettings }              from './settings.js';
+import { loadPrefs }                 from './prefs.js';
 
 // ─── Helpers ─────────────────────────────────────────────────────────
 const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
 
-// ─── Camera init ─────────────────────────────────────────────────────
-async function initCamera() {
-  // 320×240: 4× fewer pixels than 640×480 for MediaPipe to process.
-  // The video element is only used as a source for inference — not displayed
-  // at full resolution — so quality doesn't matter here.
-  DOM.video.srcObject = await navigator.mediaDevices.getUserMedia({
-    video: {
-      width:     320,
-      height:    240,
-      facingMode: 'user',
-      frameRate:  { ideal: 30 },
-    },
-  });
-
-  DOM.dCam.classList.add('on');
-}
-
 // ─── Boot sequence ────────────────────────────────────────────────────
 async function init() {
   setProgress(10, 'THREE.JS READY');
@@ -46,7 +37,7 @@ async function init() {
   // Step 1 — Camera
   setProgress(25, 'REQUESTING CAMERA...');
   try {
-    await initCamera();
+    await startWebcam();
     setProgress(50, 'CAMERA ACTIVE');
   } catch (err) {
     setProgress(25, 'CAMERA ACCESS DENIED — PLEASE ALLOW');
@@ -54,7 +45,10 @@ async function init() {
     return; // Cannot continue without camera
   }
 
-  // Step 2 — MediaPipe model load + warm-up
+  // Saved settings first: the inference backend and the panels draw from opts
+  loadPrefs();
+
+  // Step 2 — MediaPipe model load + warm-up (in a worker where possible)
   setProgress(65, 'LOADING MEDIAPIPE...');
   await delay(150);
   await initTracking();
@@ -62,7 +56,14 @@ async function init() {
 
   // Step 3 — UI modules
   initRecording();
+  initSource();
+  initPlayback();
+  initEditor();
+  initImport();
+  initTriggers();
+  initOsc();
   initExport();
+  initTakes();
   initSettings();
 
   // Step 4 — Start loops
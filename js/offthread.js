@@ -0,0 +1,189 @@
+/**
+ * offthread.js
+ * Runs MediaPipe inference in a dedicated worker (worker.js), so a pass
+ * no longer stalls the render loop. tracking.js uses it in place of the
+ * main-thread Hands solution when opts.mpWorker is on and it starts.
+ *
+ * Frames go to the worker as transferred ImageBitmaps. Landmarks come
+ * back packed in one Float32Array — the worker's counterpart of rawBuf:
+ *
+ *   [n, n × (label, score, lm[63], world[63])]    label: 0 Left, 1 Right
+ *
+ * n is -1 when the pass failed. On a cross-origin isolated page (COOP /
+ * COEP headers — serve.json sets them for `npx serve`) the array lives in
+ * a SharedArrayBuffer the worker writes in place; otherwise, as on GitHub
+ * Pages or `python -m http.server`, one buffer is transferred back and
+ * forth with every frame. Only one frame is ever in flight, so the worker
+ * never writes while the page reads.
+ *
+ * The worker runs the Tasks hand landmarker, not the Hands solution: the
+ * Hands solution cannot run in a worker, and Tasks ships a single model
+ * (float16, the counterpart of the Hands full model). modelComplexity
+ * therefore does not apply here — the worker always runs that model, and
+ * adaptive.js reports it as FULL.
+ *
+ * No DOM access here — worker.js imports the layout constants.
+ */
+
+import { NJ, MAX_HANDS } from './config.js';
+
+// ─── Constants ──────────────────────────────────────────────────────
+/** MediaPipe Tasks (the Hands solution cannot run in a worker) */
+export const TASKS_URL = 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.14';
+export const MODEL_URL =
+  'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task';
+
+export const HAND_FLOATS   = 2 + NJ * 3 * 2;              // label, score, lm, world
+export const RESULT_FLOATS = 1 + MAX_HANDS * HAND_FLOATS; // n, hands
+
+const READY_TIMEOUT_MS = 30000;
+
+const LABELS = ['Left', 'Right'];
+
+// ─── Unpacking ──────────────────────────────────────────────────────
+// Landmark objects in the shape the Hands solution reports, allocated
+// once and refilled from the packed array on every result.
+const point   = () => ({ x: 0, y: 0, z: 0 });
+const _lm     = Array.from({ length: MAX_HANDS }, () => Array.from({ length: NJ }, point));
+const _world  = Array.from({ length: MAX_HANDS }, () => Array.from({ length: NJ }, point));
+const _labels = Array.from({ length: MAX_HANDS }, () => ({ label: '', score: 0 }));
+
+function fill(pts, v, o) {
+  for (let i = 0; i < NJ; i++, o += 3) {
+    pts[i].x = v[o];
+    pts[i].y = v[o + 1];
+    pts[i].z = v[o + 2];
+  }
+}
+
+/** The packed result as a Hands solution results object. */
+function unpack(v) {
+  const n = Math.min(v[0], MAX_HANDS);
+  for (let k = 0; k < n; k++) {
+    const o = 1 + k * HAND_FLOATS;
+    _labels[k].label = LABELS[v[o]] ?? LABELS[0];
+    _labels[k].score = v[o + 1];
+    fill(_lm[k], v, o + 2);
+    fill(_world[k], v, o + 2 + NJ * 3);
+  }
+  return {
+    multiHandLandmarks:      _lm.slice(0, n),
+    multiHandWorldLandmarks: _world.slice(0, n),
+    multiHandedness:         _labels.slice(0, n),
+  };
+}
+
+// ─── Public API ─────────────────────────────────────────────────────
+/**
+ * @typedef {object} InferenceWorker
+ * @property {(image: CanvasImageSource, t: number) => Promise<void>} send
+ *   One pass on `image` (timestamp `t`, ms, increasing); onResults runs
+ *   before it resolves. Rejects if the pass failed.
+ * @property {() => void} close  - Terminates the worker.
+ * @property {'shared'|'transfer'} transport - How results come back.
+ * @property {string}  delegate  - 'GPU' or 'CPU', as the worker started.
+ * @property {boolean} failed    - The worker crashed; make a new one.
+ */
+
+/**
+ * Starts the worker and loads the model in it.
+ *
+ * @param {(results: object) => void} onResults - Gets every result, in
+ *   the Hands solution's results shape.
+ * @returns {Promise<InferenceWorker>} Rejects if workers, ImageBitmaps or
+ *   the model are not available, or the worker takes too long to start.
+ */
+export function createInferenceWorker(onResults) {
+  if (typeof Worker === 'undefined' || typeof createImageBitmap === 'undefined') {
+    return Promise.reject(new Error('workers or ImageBitmap not supported'));
+  }
+
+  const shared  = globalThis.crossOriginIsolated ? new SharedArrayBuffer(RESULT_FLOATS * 4) : null;
+  const view    = shared ? new Float32Array(shared) : null;
+  let   buffer  = shared ? null : new ArrayBuffer(RESULT_FLOATS * 4);
+  let   pending = null; // { resolve, reject } of the frame in flight
+  let   failed  = false;
+
+  const worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+
+  function crash(message) {
+    failed = true;
+    pending?.reject(new Error(message));
+    pending = null;
+  }
+
+  return new Promise((resolveReady, rejectReady) => {
+    const timer = setTimeout(() => {
+      worker.terminate();
+      rejectReady(new Error('inference worker did not start in time'));
+    }, READY_TIMEOUT_MS);
+
+    const api = {
+      send(image, t) {
+        if (failed) return Promise.reject(new Error('inference worker crashed'));
+        return createImageBitmap(image).then(bitmap => new Promise((resolve, reject) => {
+          pending = { resolve, reject };
+          if (shared) {
+            worker.postMessage({ type: 'frame', bitmap, t }, [bitmap]);
+          } else {
+            worker.postMessage({ type: 'frame', bitmap, t, buffer }, [bitmap, buffer]);
+            buffer = null; // back with the result
+          }
+        }));
+      },
+      close() {
+        worker.terminate();
+        crash('inference worker closed');
+      },
+      transport: shared ? 'shared' : 'transfer',
+      delegate:  '',
+      get failed() { return failed; },
+    };
+
+    worker.addEventListener('message', ({ data }) => {
+      if (data.type === 'ready') {
+        clearTimeout(timer);
+        api.delegate = data.delegate;
+        resolveReady(api);
+      } else if (data.type === 'error') {
+        clearTimeout(timer);
+        worker.terminate();
+        crash(data.message);
+        rejectReady(new Error(data.message));
+      } else if (data.type === 'result') {
+        if (!shared) buffer = data.buffer;
+        const v = view ?? new Float32Array(buffer);
+        const p = pending;
+        pending = null;
+        if (!p) return;
+        if (v[0] < 0) {
+          p.reject(new Error('inference pass failed'));
+          return;
+        }
+        try {
+          onResults(unpack(v));
+          p.resolve();
+        } catch (err) {
+          p.reject(err);
+        }
+      }
+    });
+
+    // A result that cannot be deserialized takes the transferred buffer
+    // with it, so the worker is as good as lost
+    worker.addEventListener('messageerror', () => {
+      clearTimeout(timer);
+      worker.terminate();
+      crash('inference worker sent an unreadable message');
+      rejectReady(new Error('inference worker sent an unreadable message'));
+    });
+
+    worker.addEventListener('error', e => {
+      clearTimeout(timer);
+      crash(e.message || 'inference worker error');
+      rejectReady(new Error(e.message || 'inference worker could not load'));
+    });
+
+    worker.postMessage({ type: 'init', shared });
+  });
+}
@@ -0,0 +1,204 @@
+/**
+ * osc.js
+ * Live OSC output for VJ and music tools (Max/MSP, Max for Live,
+ * Resolume, TouchDesigner) — opts.osc.
+ *
+ * Browsers cannot send UDP, so each OSC bundle goes out as one binary
+ * WebSocket message to a bridge (tools/osc-bridge.mjs) that forwards it
+ * as a UDP datagram unchanged.
+ *
+ * Every bundle holds, per tracked hand, with addresses built from
+ * opts.oscAddress ({hand} = left / right, {name} = value name):
+ *  - <Landmark>  fff  smoothed position, names from LANDMARK_NAMES
+ *                     (opts.oscLandmarks; scene units as in the export)
+ *  - pinch       f    thumb ↔ index tip distance in palm widths
+ *  - fingers     i    extended finger count
+ *  - gesture     s    held static gesture, 'none' without one
+ *  - score       f    MediaPipe handedness confidence (not on playback)
+ *  - present     i    1; a hand that is not tracked only sends 0
+ *  - event       s    once, when a dynamic gesture (swipe, circle) fires
+ * Bundles are sent at up to opts.streamFPS, like the WebSocket stream.
+ */
+
+import { NJ, HANDS, LANDMARK_NAMES,
+         opts }                    from './config.js';
+import { state }                   from './state.js';
+import { smoothPos, smoothWorld }  from './smoothing.js';
+import { DOM }                     from './ui.js';
+import { handFeatures, currentGesture,
+         gestureEvents }           from './gestures.js';
+import { createLink }              from './link.js';
+
+// ─── State ──────────────────────────────────────────────────────────
+let _lastSend = 0;
+let _sent     = 0;    // bundles sent since the last status refresh
+let _statusAt = 0;
+
+/** Dynamic gestures waiting for the next bundle, per hand */
+const _events = Object.fromEntries(HANDS.map(h => [h, []]));
+
+// ─── Cached DOM refs ────────────────────────────────────────────────
+let _dom = null;
+
+function getOscDom() {
+  if (_dom) return _dom;
+  _dom = { status: document.getElementById('osc-st') };
+  return _dom;
+}
+
+/**
+ * Header dot: off (grey), connecting / retrying (red), open (cyan).
+ * @param {'off'|'wait'|'on'} mode
+ * @param {string} text - Status line in the settings panel.
+ */
+function setStatus(mode, text) {
+  DOM.dOsc.classList.toggle('on',  mode === 'on');
+  DOM.dOsc.classList.toggle('red', mode === 'wait');
+  DOM.dOsc.parentElement.title = text;
+  getOscDom().status.textContent = text;
+}
+
+const _link = createLink({
+  onStatus: setStatus,
+  onOpen() {
+    _statusAt = performance.now();
+    _sent     = 0;
+  },
+});
+
+// ─── OSC 1.0 encoding ───────────────────────────────────────────────
+const _utf8 = new TextEncoder();
+
+/** NUL-terminated, zero-padded to a multiple of 4 bytes. */
+function oscString(s) {
+  const bytes = _utf8.encode(s);
+  const out   = new Uint8Array((bytes.length + 4) & ~3);
+  out.set(bytes);
+  return out;
+}
+
+/**
+ * @param {string} address
+ * @param {string} types - OSC type tags, one per argument: 'f' | 'i' | 's'.
+ * @param {Array<number|string>} args
+ * @returns {Uint8Array}
+ */
+function oscMessage(address, types, args) {
+  const head = [oscString(address), oscString(',' + types)];
+  const strs = args.map((a, k) => (types[k] === 's' ? oscString(a) : null));
+  const size = head.reduce((n, b) => n + b.length, 0)
+             + strs.reduce((n, b) => n + (b ? b.length : 4), 0);
+
+  const out  = new Uint8Array(size);
+  const view = new DataView(out.buffer);
+  let o = 0;
+  for (const b of head) { out.set(b, o); o += b.length; }
+  args.forEach((a, k) => {
+    if (strs[k])           { out.set(strs[k], o); o += strs[k].length; return; }
+    if (types[k] === 'i')  view.setInt32(o, a);
+    else                   view.setFloat32(o, a);
+    o += 4;
+  });
+  return out;
+}
+
+/** '#bundle', immediate time tag, then size-prefixed elements. */
+function oscBundle(messages) {
+  const size = 16 + messages.reduce((n, m) => n + 4 + m.length, 0);
+  const out  = new Uint8Array(size);
+  const view = new DataView(out.buffer);
+
+  out.set(oscString('#bundle'));
+  view.setUint32(12, 1); // time tag 0x00000000_00000001 = "immediately"
+  let o = 16;
+  for (const m of messages) {
+    view.setInt32(o, m.length);
+    out.set(m, o + 4);
+    o += 4 + m.length;
+  }
+  return out;
+}
+
+// ─── Address space ──────────────────────────────────────────────────
+/** True when `template` can produce one address per value and hand. */
+export function validOscAddress(template) {
+  return /^\/\S*$/.test(template) && template.includes('{name}') && template.includes('{hand}');
+}
+
+function address(hand, name) {
+  return opts.oscAddress
+    .replace('{hand}', hand.toLowerCase())
+    .replace('{name}', name);
+}
+
+// ─── Bundle ─────────────────────────────────────────────────────────
+function handMessages(hand) {
+  if (!state.present[hand]) {
+    _events[hand].length = 0;
+    return [oscMessage(address(hand, 'present'), 'i', [0])];
+  }
+
+  const pos  = smoothPos[hand];
+  const feat = handFeatures(state.world[hand] ? smoothWorld[hand] : pos);
+  const msgs = [];
+
+  if (opts.oscLandmarks) {
+    for (let i = 0; i < NJ; i++) {
+      msgs.push(oscMessage(address(hand, LANDMARK_NAMES[i]), 'fff', [pos[i].x, pos[i].y, pos[i].z]));
+    }
+  }
+
+  msgs.push(
+    oscMessage(address(hand, 'pinch'),   'f', [feat.pinch]),
+    oscMessage(address(hand, 'fingers'), 'i', [feat.fingers]),
+    oscMessage(address(hand, 'gesture'), 's', [currentGesture[hand] ?? 'none']),
+    oscMessage(address(hand, 'present'), 'i', [1]),
+  );
+  if (!state.isPlaying) msgs.push(oscMessage(address(hand, 'score'), 'f', [state.score[hand]]));
+
+  for (const name of _events[hand].splice(0)) {
+    msgs.push(oscMessage(address(hand, 'event'), 's', [name]));
+  }
+  return msgs;
+}
+
+// ─── Public: per-frame send (called by renderer) ────────────────────
+export function sendOsc() {
+  if (!_link.ready()) return;
+
+  const now = performance.now();
+  if (now - _statusAt >= 1000) {
+    setStatus('on', `CONNECTED · ${Math.round(_sent * 1000 / (now - _statusAt))} bundles/s`);
+    _statusAt = now;
+    _sent     = 0;
+  }
+
+  // 1ms slack: at 60Hz, two render frames must count as 1/30s
+  if (now - _lastSend < 1000 / opts.streamFPS - 1) return;
+  _lastSend = now;
+
+  _link.send(oscBundle(HANDS.flatMap(handMessages)));
+  _sent++;
+}
+
+// ─── Public: control (called by settings) ───────────────────────────
+/** Connects to / disconnects from the bridge to match opts.osc. */
+export function setOsc(on) {
+  opts.osc = on;
+  HANDS.forEach(h => { _events[h].length = 0; });
+  if (on) _link.open(opts.oscUrl);
+  else    _link.close();
+}
+
+/** Reconnects to the current bridge URL, if OSC output is on. */
+export function restartOsc() {
+  if (opts.osc) _link.open(opts.oscUrl);
+}
+
+/** Queues dynamic gestures for the next bundle. */
+export function initOsc() {
+  gestureEvents.addEventListener('gesture', e => {
+    const { hand, name, kind } = e.detail;
+    if (opts.osc && kind === 'dynamic') _events[hand].push(name);
+  });
+}
@@ -0,0 +1,210 @@
+/**
+ * playback.js
+ * In-app playback and scrubbing of the recorded take.
+ *
+ * While playback mode is active (state.isPlaying):
+ *  - tracking.js stops writing rawBuf / state.present, so live
+ *    results never fight the take over the skeleton;
+ *  - the render loop calls tickPlayback() instead of applySmoothing(),
+ *    which writes the interpolated recorded pose straight into smoothPos
+ *    (and smoothWorld, for takes that carry world landmarks).
+ *
+ * Leaving playback resets the per-hand flags so live tracking snaps
+ * back in on its next result.
+ */
+
+import { NJ, HANDS }   from './config.js';
+import { state }       from './state.js';
+import { smoothPos,
+         smoothWorld } from './smoothing.js';
+import { recFrames }   from './recording.js';
+
+// ─── State ──────────────────────────────────────────────────────────
+let _time     = 0;     // playhead, seconds into the take
+let _paused   = true;
+let _speed    = 1;
+let _loop     = true;
+let _uiTimer  = null;
+let _dragging = false; // true while the scrubber thumb is held
+
+// ─── Cached DOM refs ────────────────────────────────────────────────
+let _dom = null;
+
+function getPbDom() {
+  if (_dom) return _dom;
+  const $ = id => document.getElementById(id);
+  _dom = {
+    play:   $('pbplay'),
+    scrub:  $('pbscrub'),
+    time:   $('pbtime'),
+    loop:   $('pbloop'),
+    live:   $('pblive'),
+    recbtn: $('recbtn'),
+  };
+  return _dom;
+}
+
+const duration = () => (recFrames.length ? recFrames[recFrames.length - 1].t : 0);
+
+// ─── Frame lookup ───────────────────────────────────────────────────
+/** Index of the last frame with t <= time (binary search, no allocation). */
+function frameAt(time) {
+  let lo = 0;
+  let hi = recFrames.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (recFrames[mid].t <= time) lo = mid; else hi = mid - 1;
+  }
+  return lo;
+}
+
+/** Writes flat array `a` lerped towards `b` by k into {x,y,z} points. */
+function lerpInto(pos, a, b, k) {
+  for (let j = 0; j < NJ; j++) {
+    const o = j * 3;
+    pos[j].x = a[o]     + (b[o]     - a[o])     * k;
+    pos[j].y = a[o + 1] + (b[o + 1] - a[o + 1]) * k;
+    pos[j].z = a[o + 2] + (b[o + 2] - a[o + 2]) * k;
+  }
+}
+
+/**
+ * Writes the pose at `time` into smoothPos (and smoothWorld), interpolating
+ * between the two surrounding frames when the hand is present in both.
+ */
+function writePose(time) {
+  const i  = frameAt(time);
+  const f0 = recFrames[i];
+  const f1 = recFrames[Math.min(i + 1, recFrames.length - 1)];
+  const k  = f1.t > f0.t ? Math.min(1, Math.max(0, (time - f0.t) / (f1.t - f0.t))) : 0;
+
+  for (let h = 0; h < HANDS.length; h++) {
+    const hand = HANDS[h];
+    const a    = f0.hands[hand];
+    const b    = f1.hands[hand] ?? a;
+
+    state.present[hand] = !!a;
+    state.world[hand]   = !!a?.world;
+    if (!a) continue;
+
+    lerpInto(smoothPos[hand], a.lm, b.lm, k);
+    if (a.world) lerpInto(smoothWorld[hand], a.world, b.world ?? a.world, k);
+  }
+}
+
+// ─── Mode switching ─────────────────────────────────────────────────
+function enterPlayback() {
+  if (state.isPlaying || state.isRecording || state.isCapturingOffline || !recFrames.length) return;
+
+  state.isPlaying = true;
+  _time = Math.min(_time, duration()); // a new take may be shorter
+  getPbDom().recbtn.disabled = true;
+  _uiTimer = setInterval(_tickUI, 100);
+}
+
+/** Leaves playback mode and hands the skeleton back to live tracking. */
+export function exitPlayback() {
+  if (!state.isPlaying) return;
+
+  state.isPlaying = false;
+  state.detected  = false;
+  for (const hand of HANDS) {
+    state.present[hand]    = false;
+    state.firstFrame[hand] = false;
+    state.world[hand]      = false;
+  }
+
+  setPaused(true);
+  clearInterval(_uiTimer);
+
+  const d = getPbDom();
+  d.recbtn.disabled = state.isCapturingOffline; // offline capture keeps it off
+  _tickUI();
+}
+
+function setPaused(paused) {
+  _paused = paused;
+  getPbDom().play.textContent = paused ? '▶' : '⏸';
+}
+
+// ─── Public: per-frame tick (called by renderer instead of smoothing) ─
+/**
+ * Advances the playhead by dt seconds (unless paused) and writes the
+ * pose at the playhead into smoothPos.
+ *
+ * @param {number} dt - Seconds since the previous render frame.
+ */
+export function tickPlayback(dt) {
+  if (!recFrames.length) return;
+
+  const end = duration();
+
+  if (!_paused) {
+    _time += dt * _speed;
+    if (_time > end) {
+      if (_loop && end > 0) {
+        _time %= end;
+      } else {
+        _time = end;
+        setPaused(true);
+      }
+    }
+  }
+
+  writePose(_time);
+}
+
+// ─── Public: seek (called by the take editor) ───────────────────────
+/** Pauses playback on the pose at `time` seconds, entering playback if needed. */
+export function seekPlayback(time) {
+  enterPlayback();
+  if (!state.isPlaying) return;
+  setPaused(true);
+  _time = Math.min(Math.max(time, 0), duration());
+  _tickUI();
+}
+
+// ─── Public: init (wire up playback controls) ───────────────────────
+export function initPlayback() {
+  const d = getPbDom();
+
+  d.play.addEventListener('click', () => {
+    enterPlayback();
+    if (!state.isPlaying) return;
+    if (_paused && _time >= duration()) _time = 0;
+    setPaused(!_paused);
+  });
+
+  d.scrub.addEventListener('input', () => {
+    enterPlayback();
+    if (!state.isPlaying) return;
+    setPaused(true);
+    _time = (parseFloat(d.scrub.value) / 1000) * duration();
+  });
+
+  d.scrub.addEventListener('pointerdown', () => { _dragging = true; });
+  d.scrub.addEventListener('change',      () => { _dragging = false; });
+
+  d.loop.addEventListener('change', () => { _loop = d.loop.checked; });
+  d.live.addEventListener('click', exitPlayback);
+
+  document.querySelectorAll('.pbs').forEach(btn => {
+    btn.addEventListener('click', () => {
+      document.querySelectorAll('.pbs').forEach(b => b.classList.remove('active'));
+      btn.classList.add('active');
+      _speed = parseFloat(btn.dataset.speed);
+    });
+  });
+}
+
+// ─── Internal: UI tick (runs every 100ms while in playback mode) ────
+function _tickUI() {
+  const d   = getPbDom();
+  const end = duration();
+
+  if (!_dragging) {
+    d.scrub.value = end > 0 ? String(Math.round((_time / end) * 1000)) : '0';
+  }
+  d.time.textContent = _time.toFixed(2) + 's';
+  d.live.classList.toggle('active', state.isPlaying);
+}
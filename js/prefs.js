@@ -0,0 +1,202 @@
+/**
+ * prefs.js
+ * Settings that survive a reload, and named presets.
+ *
+ *  - The whole opts object is saved to localStorage and restored by
+ *    loadPrefs() on boot, before the settings panel is built (the panel
+ *    then draws itself from opts).
+ *  - Presets are partial opts objects covering the "feel" of the app:
+ *    smoothing, scale, MediaPipe rate, visibility, effects and how takes
+ *    are recorded — not endpoints such as the stream URL. A few
+ *    are built in; users can save their own and move them between
+ *    machines as JSON files.
+ *
+ * Everything read back (storage, preset files) goes through pick(), so
+ * unknown keys and values of the wrong type or outside their allowed
+ * set are dropped, and numbers clamped to their range, rather than
+ * written into opts as they are. No DOM access here — settings.js owns the UI.
+ */
+
+import { opts, OPT_RANGES,
+         OPT_CHOICES }  from './config.js';
+import { FILTERS }      from './filters.js';
+import { gestureNames } from './gestures.js';
+
+const SETTINGS_KEY = 'handtrack.settings';
+const PRESETS_KEY  = 'handtrack.presets';
+const FILE_TYPE    = 'hand-track-preset';
+
+/** Options that name a gesture — only static ones trigger (triggers.js) */
+const GESTURE_KEYS = ['gestureStart', 'gestureStop'];
+
+/** opts as shipped, captured before anything can change it */
+const DEFAULTS = structuredClone(opts);
+
+/** Keys a preset may set */
+const PRESET_KEYS = [
+  'filter', 'smooth', 'euroMinCutoff', 'euroBeta', 'euroDCutoff', 'kalmanQ', 'kalmanR',
+  'scale', 'constrain',
+  'joints', 'bones', 'tips', 'particles', 'cam', 'angles',
+  'pulse', 'wire',
+  'mpFPS', 'mpAuto', 'mpTargetFPS', 'mpLatencyMs',
+  'recDuration', 'dropoutGraceSec', 'captureMode', 'captureRaw',
+];
+
+/** Built-in presets, listed before the user's own */
+export const BUILTIN_PRESETS = {
+  'Studio Smooth': {
+    filter: 'euro', euroMinCutoff: 0.6, euroBeta: 4,
+    mpFPS: 30, particles: false, pulse: false,
+    recDuration: 0, dropoutGraceSec: 1, captureMode: 'inference',
+  },
+  'Low-Latency Live': {
+    filter: 'kalman', kalmanQ: 30, kalmanR: 0.006,
+    mpFPS: 30, particles: false, pulse: false, angles: false,
+  },
+  'Light CPU': {
+    filter: 'kalman', kalmanQ: 8, kalmanR: 0.01,
+    mpFPS: 12, particles: false, pulse: false, angles: false,
+  },
+};
+
+// ─── Validation ─────────────────────────────────────────────────────
+/**
+ * The entries of `src` that name one of `keys` and have the same type
+ * as the default (finite for numbers). Numbers are clamped to their
+ * OPT_RANGES; a filter that is not in FILTERS, a recording trigger
+ * (gestureStart / gestureStop) that is not a registered static gesture,
+ * or another string outside its OPT_CHOICES, is dropped. Custom gestures
+ * must therefore be registered before loadPrefs() for a saved trigger
+ * to survive.
+ */
+function pick(src, keys = Object.keys(DEFAULTS)) {
+  const out = {};
+  if (!src || typeof src !== 'object') return out;
+  for (const k of keys) {
+    let v = src[k];
+    if (typeof v !== typeof DEFAULTS[k]) continue;
+    if (typeof v === 'number') {
+      if (!Number.isFinite(v)) continue;
+      if (OPT_RANGES[k]) v = Math.min(OPT_RANGES[k][1], Math.max(OPT_RANGES[k][0], v));
+    }
+    if (k === 'filter' && !Object.hasOwn(FILTERS, v)) continue;
+    if (GESTURE_KEYS.includes(k) && !gestureNames('static').includes(v)) continue;
+    if (OPT_CHOICES[k] && !OPT_CHOICES[k].includes(v)) continue;
+    out[k] = v;
+  }
+  return out;
+}
+
+// ─── Storage ────────────────────────────────────────────────────────
+// localStorage can be missing or full (private windows, quotas); the
+// app then simply runs on defaults.
+function read(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key) ?? 'null');
+  } catch (_) {
+    return null;
+  }
+}
+
+function write(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (_) {}
+}
+
+/** User presets, by name */
+function userPresets() {
+  const stored = read(PRESETS_KEY);
+  return stored && typeof stored === 'object' ? stored : {};
+}
+
+// ─── Public: settings ───────────────────────────────────────────────
+/** Restores saved settings into opts. Call before initSettings(). */
+export function loadPrefs() {
+  Object.assign(opts, pick(read(SETTINGS_KEY)));
+}
+
+/** Saves the current opts. */
+export function savePrefs() {
+  write(SETTINGS_KEY, opts);
+}
+
+/** Puts every option back to its shipped default, and saves. */
+export function resetPrefs() {
+  Object.assign(opts, structuredClone(DEFAULTS));
+  savePrefs();
+}
+
+// ─── Public: presets ────────────────────────────────────────────────
+/** Built-in names first, then the user's in save order. */
+export function presetNames() {
+  return [...Object.keys(BUILTIN_PRESETS), ...Object.keys(userPresets())];
+}
+
+export const isBuiltinPreset = name => Object.hasOwn(BUILTIN_PRESETS, name);
+
+/**
+ * Applies a preset over the defaults of its keys, so options it does
+ * not mention do not leak in from the previous state, and saves.
+ * @param {string} name
+ * @returns {boolean} false if there is no such preset.
+ */
+export function applyPreset(name) {
+  const preset = isBuiltinPreset(name) ? BUILTIN_PRESETS[name] : userPresets()[name];
+  if (!preset) return false;
+  Object.assign(opts, pick(DEFAULTS, PRESET_KEYS), pick(preset, PRESET_KEYS));
+  savePrefs();
+  return true;
+}
+
+/**
+ * Stores the current settings as a user preset (replacing one with the
+ * same name). Built-in names are reserved.
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function savePreset(name) {
+  if (!name || isBuiltinPreset(name)) return false;
+  write(PRESETS_KEY, { ...userPresets(), [name]: pick(opts, PRESET_KEYS) });
+  return true;
+}
+
+/** @returns {boolean} false for built-ins and unknown names. */
+export function deletePreset(name) {
+  const all = userPresets();
+  if (!Object.hasOwn(all, name)) return false;
+  delete all[name];
+  write(PRESETS_KEY, all);
+  return true;
+}
+
+/**
+ * The current settings as a preset file.
+ * @param {string} name
+ * @returns {{type: string, version: number, name: string, settings: object}}
+ */
+export function presetFile(name) {
+  return { type: FILE_TYPE, version: 1, name, settings: pick(opts, PRESET_KEYS) };
+}
+
+/**
+ * Adds the preset in a file written by presetFile(). A name that is
+ * already taken gets a numeric suffix.
+ *
+ * @param {object} data - Parsed JSON.
+ * @returns {string} The name it was stored under.
+ * @throws {Error} If the file is not a preset or sets nothing.
+ */
+export function importPresetFile(data) {
+  if (data?.type !== FILE_TYPE) throw new Error('not a Hand.Track preset file');
+  const settings = pick(data.settings, PRESET_KEYS);
+  if (!Object.keys(settings).length) throw new Error('preset contains no known settings');
+
+  const base  = String(data.name || 'Imported').trim().slice(0, 40) || 'Imported';
+  const taken = new Set(presetNames());
+  let   name  = base;
+  for (let n = 2; taken.has(name); n++) name = `${base} ${n}`;
+
+  write(PRESETS_KEY, { ...userPresets(), [name]: settings });
+  return name;
+}
@@ -0,0 +1,123 @@
+/**
+ * profiles.js
+ * Per-user hand calibration profiles, stored in localStorage.
+ *
+ * A profile holds what calibration.js measured of one person's hand:
+ *  - palmWidth  — index MCP ↔ pinky MCP, metres
+ *  - handLength — wrist → middle fingertip along the finger, metres
+ *  - bones      — length of every skeleton bone, metres, indexed by the
+ *                 bone's child landmark (see PARENT in skeleton.js)
+ *  - depth      — screen-space depth factor: MediaPipe's relative z is
+ *                 multiplied by it so depth keeps the hand's proportions
+ *
+ * The active one is named by opts.profile ('' = none) and used by
+ * tracking.js (depth), smoothing.js (world filter gain), constraints.js
+ * (bone lengths) and export.js (real dimensions). Changing it is
+ * announced as 'change' on profileEvents. No DOM access here.
+ */
+
+import { NJ, opts } from './config.js';
+
+const PROFILES_KEY = 'handtrack.profiles';
+
+/** Screen-space depth factor without a profile */
+export const DEFAULT_DEPTH = 0.8;
+
+/** Dispatches 'change' whenever the active profile or its data changes. */
+export const profileEvents = new EventTarget();
+
+let _cache = null; // { name, profile } of the active profile
+
+// ─── Validation + storage ───────────────────────────────────────────
+const positive = v => typeof v === 'number' && Number.isFinite(v) && v > 0;
+
+/** True if `p` has every measurement, in range. */
+function validProfile(p) {
+  return !!p && typeof p === 'object'
+    && positive(p.palmWidth) && positive(p.handLength) && positive(p.depth)
+    && Array.isArray(p.bones) && p.bones.length === NJ
+    && p.bones.every((v, j) => (j === 0 ? v === 0 : positive(v)));
+}
+
+// localStorage can be missing or full (private windows, quotas); there
+// are then simply no profiles.
+function readAll() {
+  let stored = null;
+  try {
+    stored = JSON.parse(localStorage.getItem(PROFILES_KEY) ?? 'null');
+  } catch (_) {}
+  if (!stored || typeof stored !== 'object') return {};
+  return Object.fromEntries(Object.entries(stored).filter(([, p]) => validProfile(p)));
+}
+
+function writeAll(all) {
+  try {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(all));
+  } catch (_) {}
+}
+
+function changed() {
+  _cache = null;
+  profileEvents.dispatchEvent(new Event('change'));
+}
+
+// ─── Public API ─────────────────────────────────────────────────────
+/** Saved profile names, in save order. */
+export function profileNames() {
+  return Object.keys(readAll());
+}
+
+/**
+ * The active profile (opts.profile), or null. Cached — cheap enough to
+ * call per frame.
+ * @returns {{name: string, palmWidth: number, handLength: number, bones: number[], depth: number, created: number}|null}
+ */
+export function activeProfile() {
+  if (_cache?.name !== opts.profile) {
+    const p = opts.profile ? readAll()[opts.profile] : null;
+    _cache  = { name: opts.profile, profile: p ? { ...p, name: opts.profile } : null };
+  }
+  return _cache.profile;
+}
+
+/** Depth factor tracking.js applies to MediaPipe's z. */
+export const depthFactor = () => activeProfile()?.depth ?? DEFAULT_DEPTH;
+
+/**
+ * Makes `name` the active profile ('' = none). Unknown names select none.
+ * @returns {boolean} false if there is no such profile.
+ */
+export function selectProfile(name) {
+  const ok = !name || Object.hasOwn(readAll(), name);
+  opts.profile = ok ? name : '';
+  changed();
+  return ok;
+}
+
+/**
+ * Stores measurements under `name` (replacing a profile with that name)
+ * and makes it the active one.
+ * @param {string} name
+ * @param {{palmWidth: number, handLength: number, bones: number[], depth: number}} data
+ * @returns {boolean} false if the name is empty or the data incomplete.
+ */
+export function saveProfile(name, data) {
+  const p = { palmWidth: data.palmWidth, handLength: data.handLength,
+              bones: Array.from(data.bones), depth: data.depth, created: Date.now() };
+  if (!name || !validProfile(p)) return false;
+  writeAll({ ...readAll(), [name]: p });
+  opts.profile = name;
+  changed();
+  return true;
+}
+
+/** @returns {boolean} false for unknown names. */
+export function deleteProfile(name) {
+  const all = readAll();
+  if (!Object.hasOwn(all, name)) return false;
+  delete all[name];
+  writeAll(all);
+  if (opts.profile === name) opts.profile = '';
+  changed();
+  return true;
+}
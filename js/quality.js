@@ -0,0 +1,155 @@
+/**
+ * quality.js
+ * Tracking-quality telemetry, fed by tracking.js on every MediaPipe
+ * result:
+ *  - score   — MediaPipe's handedness confidence per hand (state.score)
+ *  - jitter  — per landmark, the RMS scatter (mm) of its metric world
+ *              position over the last JITTER_WINDOW results, about a
+ *              straight-line fit so steady motion does not count. World
+ *              landmarks are hand-centred: travel across the frame never
+ *              counts either.
+ *  - latency — ms from sending a video frame to its result (last, and
+ *              smoothed)
+ *  - dropped — inference passes that delivered no result (the send
+ *              threw, or resolved without a result)
+ * A per-hand quality in [0, 1] combines score and mean jitter.
+ *
+ * recording.js stores handQuality() / jitter with every frame (q / jit,
+ * QUALITY_NAMES order) and frameDropped() on the frame. No DOM access
+ * here — ui.js shows the meter.
+ */
+
+import { NJ, HANDS } from './config.js';
+import { state }     from './state.js';
+import { worldBuf }  from './smoothing.js';
+
+// ─── Constants ──────────────────────────────────────────────────────
+const JITTER_WINDOW = 8;   // results per landmark fit
+const JITTER_MIN    = 4;   // results before jitter is reported
+const JITTER_OK     = 2;   // mm; mean jitter with no quality penalty
+const JITTER_BAD    = 10;  // mm; mean jitter that zeroes quality
+const LATENCY_EMA   = 0.1;
+
+/** Landmarks steadier than this count as tracked in the status bar (mm) */
+export const JITTER_STEADY = 5;
+
+/** Column order of a recorded hand's `q` array */
+export const QUALITY_NAMES = ['quality', 'score', 'jitter', 'latency'];
+export const QUALITY_UNITS = ['0-1', '0-1', 'mm', 'ms'];
+
+// ─── State ──────────────────────────────────────────────────────────
+/** Per-hand jitter of every landmark, mm; 0 until JITTER_MIN results */
+export const jitter = Object.fromEntries(HANDS.map(h => [h, new Float32Array(NJ)]));
+
+/** Live inference telemetry */
+export const telemetry = {
+  latency:  0, // ms, smoothed
+  last:     0, // ms, latest result
+  results:  0,
+  dropped:  0,
+};
+
+// Ring of the last JITTER_WINDOW world poses per hand
+const _ring  = Object.fromEntries(HANDS.map(h => [h, new Float32Array(JITTER_WINDOW * NJ * 3)]));
+const _count = Object.fromEntries(HANDS.map(h => [h, 0]));
+
+let _droppedSeen = 0; // telemetry.dropped at the last frameDropped()
+
+// ─── Jitter ─────────────────────────────────────────────────────────
+/**
+ * Residual variance of the n newest ring entries of one coordinate
+ * about their least-squares line over result index.
+ */
+function residualVar(ring, n, head, o) {
+  const xm = (n - 1) / 2;
+  let ym = 0;
+  for (let k = 0; k < n; k++) ym += ring[((head - n + k + JITTER_WINDOW) % JITTER_WINDOW) * NJ * 3 + o];
+  ym /= n;
+
+  let sxy = 0, sxx = 0, syy = 0;
+  for (let k = 0; k < n; k++) {
+    const y = ring[((head - n + k + JITTER_WINDOW) % JITTER_WINDOW) * NJ * 3 + o] - ym;
+    const x = k - xm;
+    sxy += x * y;
+    sxx += x * x;
+    syy += y * y;
+  }
+  return Math.max(0, (syy - (sxy * sxy) / sxx) / n);
+}
+
+/** Adds the hand's latest world pose and refreshes its jitter. */
+function updateJitter(hand) {
+  const ring = _ring[hand];
+  const head = _count[hand] % JITTER_WINDOW;
+  ring.set(worldBuf[hand], head * NJ * 3);
+  const n = Math.min(++_count[hand], JITTER_WINDOW);
+
+  const jit = jitter[hand];
+  if (n < JITTER_MIN) {
+    jit.fill(0);
+    return;
+  }
+  const next = (head + 1) % JITTER_WINDOW;
+  for (let i = 0; i < NJ; i++) {
+    const b = i * 3;
+    jit[i] = Math.sqrt(
+      residualVar(ring, n, next, b) + residualVar(ring, n, next, b + 1) + residualVar(ring, n, next, b + 2),
+    ) * 1000;
+  }
+}
+
+// ─── Public: fed by tracking.js ─────────────────────────────────────
+/**
+ * One MediaPipe result arrived, `ms` after its video frame was sent.
+ * Call after state.present / state.world and worldBuf are written.
+ */
+export function noteResult(ms) {
+  telemetry.last    = ms;
+  telemetry.latency = telemetry.results ? telemetry.latency + (ms - telemetry.latency) * LATENCY_EMA : ms;
+  telemetry.results++;
+
+  for (const hand of HANDS) {
+    if (state.present[hand] && state.world[hand]) {
+      updateJitter(hand);
+    } else {
+      _count[hand] = 0;
+      jitter[hand].fill(0);
+    }
+  }
+}
+
+/** One inference pass delivered no result. */
+export function noteDropped() {
+  telemetry.dropped++;
+}
+
+// ─── Public: readers ────────────────────────────────────────────────
+/** Mean jitter of the hand's landmarks, mm. */
+export function meanJitter(hand) {
+  let s = 0;
+  for (let i = 0; i < NJ; i++) s += jitter[hand][i];
+  return s / NJ;
+}
+
+/**
+ * Tracking quality of a present hand in [0, 1]: its handedness score,
+ * reduced linearly as mean jitter goes from JITTER_OK to JITTER_BAD.
+ */
+export function handQuality(hand) {
+  const j = (meanJitter(hand) - JITTER_OK) / (JITTER_BAD - JITTER_OK);
+  return state.score[hand] * Math.min(1, Math.max(0, 1 - j));
+}
+
+/** Landmarks of the hand steadier than JITTER_STEADY. */
+export function steadyLandmarks(hand) {
+  let n = 0;
+  for (let i = 0; i < NJ; i++) if (jitter[hand][i] < JITTER_STEADY) n++;
+  return n;
+}
+
+/** Inference passes dropped since the previous call (one per recorded frame). */
+export function frameDropped() {
+  const n = telemetry.dropped - _droppedSeen;
+  _droppedSeen = telemetry.dropped;
+  return n;
+}
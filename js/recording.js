@@ -2,14 +2,50 @@
  * recording.js
  * Manages the capture of hand animation frames.
  *
- * Captures smoothed landmark positions at up to 30fps,
- * independently of the render loop frame rate.
+ * Two capture modes (opts.captureMode):
+ *  - 'render'    — the smoothed pose as displayed, sampled on the render
+ *                  loop at up to 30fps (captureFrame). Poses between two
+ *                  MediaPipe results are the filter's extrapolation.
+ *  - 'inference' — every MediaPipe result exactly once (captureResult,
+ *                  called by tracking.js), stamped with the time its video
+ *                  frame was sent and filtered (and constrained, see
+ *                  constraints.js) per observation. With opts.captureRaw
+ *                  the unfiltered landmarks are kept too (lmRaw / worldRaw).
+ *                  Such takes keep their own timing: their edit starts
+ *                  with fps 0 (see retime.js).
+ * Each frame stores one entry per hand present, keyed by handedness,
+ * with both the screen-space pose (lm) and the metric one (world), plus
+ * the joint angles from kinematics.js (ang, ANGLE_NAMES order) and its
+ * tracking quality from quality.js (q, QUALITY_NAMES order; jit, the
+ * jitter of every landmark). A frame after inference passes that gave
+ * no result counts them in `dropped`.
  * Stores frames in memory until export.js serialises them.
+ *
+ * Tracking dropouts do not end the take straight away: while no hand is
+ * tracked, empty frames flagged `gap: true` are recorded (export.js
+ * interpolates them), and the take only ends once the dropout lasts
+ * longer than opts.dropoutGraceSec.
+ *
+ * recFrames always holds the selected take — the one just recorded,
+ * imported, or picked in the take manager (takes.js); recTake names it.
  */
 
-import { state }      from './state.js';
-import { smoothPos }  from './smoothing.js';
-import { DOM }        from './ui.js';
+import { HANDS, opts }              from './config.js';
+import { state }                    from './state.js';
+import { smoothPos, smoothWorld,
+         rawBuf, worldBuf,
+         obsPos, obsWorld,
+         filterObservation,
+         resetObservation }         from './smoothing.js';
+import { DOM }                      from './ui.js';
+import { jointAngles, ANGLE_NAMES,
+         computeAngles }            from './kinematics.js';
+import { constrainPose }            from './constraints.js';
+import { savePrefs }                from './prefs.js';
+import { DEFAULT_EDIT }             from './retime.js';
+import { jitter, telemetry,
+         handQuality, meanJitter,
+         frameDropped }             from './quality.js';
 
 // ─── Constants ──────────────────────────────────────────────────────
 const MAX_CAPTURE_FPS = 30;
@@ -18,9 +54,33 @@ const CAP_INTERVAL_MS = 1000 / MAX_CAPTURE_FPS;
 // ─── State ──────────────────────────────────────────────────────────
 export let recFrames = []; // exported so export.js can read it
 let _recStart  = 0;
-let _recDur    = 5;        // seconds (0 = unlimited)
 let _recTimer  = null;
 let _lastCap   = 0;
+let _lostAt    = 0;        // performance.now() when tracking was lost (0 = tracked)
+let _gapCount  = 0;        // dropouts in the current take
+let _inference = false;    // this take samples MediaPipe results (opts.captureMode)
+
+// Angles of the latest observation (inference capture)
+const _obsAngles = Object.fromEntries(
+  HANDS.map(h => [h, new Float32Array(ANGLE_NAMES.length)]),
+);
+
+/** Edit a source-timed take starts with: its own timestamps, no resampling. */
+export const SOURCE_EDIT = Object.freeze({ ...DEFAULT_EDIT, fps: 0 });
+
+/**
+ * The take in recFrames: its take store id (null until saved), name,
+ * and edit from the take editor (editor.js; null = not edited yet).
+ */
+export const recTake = { id: null, name: '', edit: null };
+
+/**
+ * Recorder event bus: 'start' and 'stop' are dispatched when a take
+ * begins and after it has ended. 'take' follows whenever recFrames holds
+ * a new, final take (after 'stop' listeners such as the gesture trim ran,
+ * or after loadTake); detail: { name }.
+ */
+export const recEvents = new EventTarget();
 
 // ─── Cached DOM refs ────────────────────────────────────────────────
 // Resolved lazily (called after DOMContentLoaded)
@@ -38,6 +98,9 @@ function getRecDom() {
     pbar:   $('rpb'),
     recbtn: $('recbtn'),
     expbtn: $('expbtn'),
+    pbw:    $('pbw'),
+    gaps:   $('rgaps'),
+    gapw:   $('rgw'),
     hint:   $('rhint'),
   };
   return _dom;
@@ -46,10 +109,22 @@ function getRecDom() {
 // ─── Public: start ───────────────────────────────────────────────────
 export function startRec() {
   const d = getRecDom();
-  recFrames  = [];
-  _recStart  = performance.now();
-  _lastCap   = 0;
+
+  // Playback / offline capture own the skeleton (and disable the button)
+  if (state.isPlaying || state.isRecording || d.recbtn.disabled) return;
+
+  recFrames    = [];
+  recTake.id   = null;
+  recTake.name = '';
+  recTake.edit = null;
+  _recStart    = performance.now();
+  _lastCap     = 0;
+  _lostAt      = 0;
+  _gapCount    = 0;
+  _inference   = opts.captureMode === 'inference';
   state.isRecording = true;
+  HANDS.forEach(resetObservation);
+  frameDropped(); // count from here
 
   d.recbtn.textContent = '⏹ STOP RECORDING';
   d.recbtn.classList.add('stop');
@@ -57,11 +132,46 @@ export function startRec() {
   d.rst.textContent = 'REC';
   d.timer.classList.add('active');
   d.expbtn.classList.remove('visible');
+  d.pbw.classList.remove('visible');
   d.pbar.style.width = '0%';
+  d.gaps.textContent = '';
+  d.gapw.replaceChildren();
   DOM.video.classList.add('rec-on');
 
   document.querySelectorAll('.db').forEach(b => { b.disabled = true; });
   _recTimer = setInterval(_tickUI, 100);
+  recEvents.dispatchEvent(new Event('start'));
+}
+
+// ─── Gaps ────────────────────────────────────────────────────────────
+/** [start, end] times of each run of gap frames in a take. */
+function gapSpans(frames) {
+  const spans = [];
+  for (let i = 0; i < frames.length; i++) {
+    if (!frames[i].gap) continue;
+    const from = i > 0 ? frames[i - 1].t : frames[i].t;
+    while (i + 1 < frames.length && frames[i + 1].gap) i++;
+    spans.push([from, i + 1 < frames.length ? frames[i + 1].t : frames[i].t]);
+  }
+  return spans;
+}
+
+/** Marks every gap on the strip under the progress bar. */
+function renderGaps() {
+  const d     = getRecDom();
+  const spans = gapSpans(recFrames);
+  const el    = recFrames.length ? recFrames[recFrames.length - 1].t : 0;
+
+  d.gapw.replaceChildren(...spans.map(([a, b]) => {
+    const mark = document.createElement('span');
+    mark.style.left  = (a / Math.max(el, 0.001)) * 100 + '%';
+    mark.style.width = ((b - a) / Math.max(el, 0.001)) * 100 + '%';
+    mark.title = `Tracking lost ${a.toFixed(2)}–${b.toFixed(2)}s`;
+    return mark;
+  }));
+  d.gaps.textContent = spans.length
+    ? `${spans.length} GAP${spans.length > 1 ? 'S' : ''}`
+    : '';
 }
 
 // ─── Public: stop ────────────────────────────────────────────────────
@@ -71,6 +181,11 @@ export function stopRec() {
   state.isRecording = false;
   clearInterval(_recTimer);
 
+  // A take never ends on a dropout: drop the trailing gap frames
+  const lost = _lostAt > 0;
+  while (recFrames.length && recFrames[recFrames.length - 1].gap) recFrames.pop();
+  if (_inference) recTake.edit = SOURCE_EDIT;
+
   const d   = getRecDom();
   const el  = recFrames.length > 0 ? recFrames[recFrames.length - 1].t : 0;
   const fps = (recFrames.length / Math.max(el, 0.001)).toFixed(1);
@@ -82,30 +197,195 @@ export function stopRec() {
   d.rst.textContent = 'DONE';
   d.timer.classList.remove('active');
   d.pbar.style.width = '100%';
+  d.gaps.classList.remove('lost');
   DOM.video.classList.remove('rec-on');
 
   document.querySelectorAll('.db').forEach(b => { b.disabled = false; });
 
   if (recFrames.length > 0) {
     d.expbtn.classList.add('visible');
-    d.hint.textContent = `✓ ${recFrames.length} frames @ ${fps}fps`;
+    d.pbw.classList.add('visible');
+    d.hint.classList.remove('err');
+    d.hint.textContent = `✓ ${recFrames.length} frames @ ${fps}fps` + (lost ? ' (hand lost)' : '');
+  }
+  renderGaps();
+
+  recEvents.dispatchEvent(new Event('stop'));
+  if (recFrames.length) recEvents.dispatchEvent(new CustomEvent('take', { detail: { name: '' } }));
+}
+
+// ─── Public: elapsed take time ───────────────────────────────────────
+/** Seconds since the current take started (same clock as frame `t`). */
+export function recElapsed() {
+  return (performance.now() - _recStart) / 1000;
+}
+
+// ─── Public: trim ────────────────────────────────────────────────────
+/**
+ * Keeps only frames with from <= t <= to and re-bases timestamps so the
+ * first kept frame is t = 0. No-op if nothing would be left.
+ *
+ * @param {number} from - Seconds into the take.
+ * @param {number} to   - Seconds into the take.
+ */
+export function trimTake(from, to) {
+  const kept = recFrames.filter(f => f.t >= from && f.t <= to);
+  if (!kept.length || kept.length === recFrames.length) return;
+
+  const t0 = kept[0].t;
+  recFrames = kept.map(f => ({ ...f, t: +(f.t - t0).toFixed(4) }));
+
+  const d  = getRecDom();
+  const el = recFrames[recFrames.length - 1].t;
+  d.fcount.textContent = recFrames.length + ' FRAMES';
+  d.hint.textContent   = `✓ ${recFrames.length} frames @ ${(recFrames.length / Math.max(el, 0.001)).toFixed(1)}fps (trimmed)`;
+  renderGaps();
+}
+
+// ─── Public: load a take (importer.js, source.js, takes.js) ──────────
+/**
+ * Replaces recFrames with already-validated frames and puts the panel
+ * in the same state as after a finished recording.
+ *
+ * @param {Array<{t: number, hands: object}>} frames
+ * @param {string} name          - Take or source file name, shown in the hint.
+ * @param {number|null} [id]     - Take store id when the take is already saved.
+ * @param {object|null} [edit]   - Its stored take editor settings.
+ */
+export function loadTake(frames, name, id = null, edit = null) {
+  if (state.isRecording || state.isCapturingOffline) return;
+
+  const d   = getRecDom();
+  const el  = frames[frames.length - 1].t;
+  const fps = (frames.length / Math.max(el, 0.001)).toFixed(1);
+  const m   = Math.floor(el / 60);
+  const s   = Math.floor(el % 60);
+
+  recFrames    = frames;
+  recTake.id   = id;
+  recTake.name = name;
+  recTake.edit = edit;
+
+  d.rdot.classList.add('ready');
+  d.rst.textContent    = 'LOADED';
+  d.timer.textContent  = String(m).padStart(2, '0') + ':' + String(s).padStart(2, '0');
+  d.fcount.textContent = frames.length + ' FRAMES';
+  d.ffps.textContent   = fps + ' fps';
+  d.pbar.style.width   = '100%';
+  d.expbtn.classList.add('visible');
+  d.pbw.classList.add('visible');
+  d.hint.classList.remove('err');
+  d.hint.textContent = `✓ ${name}: ${frames.length} frames @ ${fps}fps`;
+  renderGaps();
+
+  recEvents.dispatchEvent(new CustomEvent('take', { detail: { name } }));
+}
+
+// ─── Capture ─────────────────────────────────────────────────────────
+// Flat arrays: [x0,y0,z0, x1,y1,z1, ...] — minimal JSON footprint
+const flat = pts => pts.flatMap(p => [
+  +p.x.toFixed(5),
+  +p.y.toFixed(5),
+  +p.z.toFixed(5),
+]);
+
+const flatBuf = buf => Array.from(buf, v => +v.toFixed(5));
+
+/** Adds the hand's tracking quality (q, and jit with world landmarks). */
+function addQuality(h, hand) {
+  h.q = [
+    +handQuality(hand).toFixed(3),
+    +state.score[hand].toFixed(3),
+    +meanJitter(hand).toFixed(2),
+    +telemetry.last.toFixed(1),
+  ];
+  if (state.world[hand]) h.jit = Array.from(jitter[hand], v => +v.toFixed(2));
+  return h;
+}
+
+/**
+ * Appends one frame at `now` (performance.now() clock); `hands(hand)`
+ * returns the entry of a present hand.
+ */
+function record(now, hands) {
+  const t       = +((now - _recStart) / 1000).toFixed(4);
+  const dropped = frameDropped();
+
+  // Dropout: record a gap marker, never a frozen copy of the last pose.
+  // Nothing to interpolate from before the first tracked frame.
+  if (!state.detected) {
+    if (!_lostAt) _lostAt = now;
+    if (!recFrames.length) return;
+    if (!recFrames[recFrames.length - 1].gap) _gapCount++;
+    const gap = { t, hands: {}, gap: true };
+    if (dropped) gap.dropped = dropped;
+    recFrames.push(gap);
+    return;
+  }
+  _lostAt = 0;
+
+  // Absent hands are simply omitted from the frame.
+  const frame = { t, hands: {} };
+  for (const hand of HANDS) {
+    if (state.present[hand]) frame.hands[hand] = addQuality(hands(hand), hand);
   }
+  if (dropped) frame.dropped = dropped;
+  recFrames.push(frame);
 }
 
 // ─── Public: capture (called by renderer each frame) ─────────────────
 export function captureFrame() {
+  if (_inference) return;
+
   const now = performance.now();
   if (now - _lastCap < CAP_INTERVAL_MS) return;
   _lastCap = now;
 
-  recFrames.push({
-    t: +((now - _recStart) / 1000).toFixed(4),
-    // Flat array: [x0,y0,z0, x1,y1,z1, ...] — minimal JSON footprint
-    lm: smoothPos.flatMap(p => [
-      +p.x.toFixed(5),
-      +p.y.toFixed(5),
-      +p.z.toFixed(5),
-    ]),
+  record(now, hand => {
+    const h = { lm: flat(smoothPos[hand]) };
+    if (!state.world[hand]) return h;
+    h.world = flat(smoothWorld[hand]);
+    h.ang   = Array.from(jointAngles[hand], v => +v.toFixed(1));
+    return h;
+  });
+}
+
+// ─── Public: capture (called by tracking.js on each result) ──────────
+/**
+ * Records the MediaPipe result just written to rawBuf / worldBuf and
+ * state, in inference capture mode. Results of video frames sent before
+ * the take started are skipped.
+ *
+ * @param {number} sentAt - performance.now() when its video frame was sent.
+ */
+export function captureResult(sentAt) {
+  if (!state.isRecording || !_inference || sentAt < _recStart) return;
+
+  for (const hand of HANDS) {
+    if (!state.present[hand]) {
+      resetObservation(hand);
+      continue;
+    }
+    filterObservation(hand, sentAt / 1000);
+    if (opts.constrain && state.world[hand]) constrainPose(hand, obsPos[hand], obsWorld[hand]);
+  }
+
+  record(sentAt, hand => {
+    const h = { lm: flat(obsPos[hand]) };
+    if (opts.captureRaw) h.lmRaw = flatBuf(rawBuf[hand]);
+    if (!state.world[hand]) return h;
+    h.world = flat(obsWorld[hand]);
+    h.ang   = Array.from(computeAngles(obsWorld[hand], _obsAngles[hand]), v => +v.toFixed(1));
+    if (opts.captureRaw) h.worldRaw = flatBuf(worldBuf[hand]);
+    return h;
+  });
+}
+
+// ─── Public: duration buttons ────────────────────────────────────────
+/** Highlights the duration button matching opts.recDuration. */
+export function showRecDuration() {
+  document.querySelectorAll('.db').forEach(b => {
+    b.classList.toggle('active', parseInt(b.dataset.sec, 10) === opts.recDuration);
   });
 }
 
@@ -120,12 +400,14 @@ export function initRecording() {
   document.querySelectorAll('.db').forEach(btn => {
     btn.addEventListener('click', () => {
       if (state.isRecording) return;
-      document.querySelectorAll('.db').forEach(b => b.classList.remove('active'));
-      btn.classList.add('active');
-      _recDur = parseInt(btn.dataset.sec, 10);
+      opts.recDuration = parseInt(btn.dataset.sec, 10);
+      showRecDuration();
+      savePrefs();
       d.pbar.style.width = '0%';
     });
   });
+
+  showRecDuration();
 }
 
 // ─── Internal: UI tick (runs every 100ms while recording) ───────────
@@ -143,8 +425,19 @@ function _tickUI() {
     d.ffps.textContent = (recFrames.length / el).toFixed(1) + ' fps';
   }
 
-  if (_recDur > 0) {
-    d.pbar.style.width = Math.min(100, (el / _recDur) * 100) + '%';
-    if (el >= _recDur) stopRec();
+  const lostFor = _lostAt ? (performance.now() - _lostAt) / 1000 : 0;
+  d.gaps.classList.toggle('lost', lostFor > 0);
+  d.gaps.textContent = lostFor > 0
+    ? `LOST ${lostFor.toFixed(1)}s`
+    : _gapCount ? `${_gapCount} GAP${_gapCount > 1 ? 'S' : ''}` : '';
+
+  if (lostFor > opts.dropoutGraceSec) {
+    stopRec();
+    return;
+  }
+
+  if (opts.recDuration > 0) {
+    d.pbar.style.width = Math.min(100, (el / opts.recDuration) * 100) + '%';
+    if (el >= opts.recDuration) stopRec();
   }
 }
@@ -3,8 +3,9 @@
  * Three.js setup and the main render loop.
  *
  * The render loop NEVER waits for MediaPipe.
- * It reads from smoothPos (written by smoothing.js) and runs
- * unconditionally at ~60fps regardless of inference speed.
+ * It reads from smoothPos (written by smoothing.js, then corrected by
+ * constraints.js) and runs unconditionally at ~60fps regardless of
+ * inference speed.
  */
 
 /* global THREE */
@@ -12,11 +13,16 @@ import { opts }                             from './config.js';
 import { state }                            from './state.js';
 import { tickFPS, updateUI }               from './ui.js';
 import { applySmoothing }                   from './smoothing.js';
+import { applyConstraints }                 from './constraints.js';
 import { jointMesh, boneMesh, glowMesh,
          jointMat, boneMat,
          updateJointInstances,
          updateBoneInstances }              from './hand.js';
 import { captureFrame }                     from './recording.js';
+import { tickPlayback }                     from './playback.js';
+import { updateKinematics }                 from './kinematics.js';
+import { streamFrame }                      from './streaming.js';
+import { sendOsc }                          from './osc.js';
 
 // ─── Renderer ──────────────────────────────────────────────────────
 const canvas = document.getElementById('c');
@@ -61,7 +67,8 @@ scene.add(fillLight);
 scene.add(jointMesh, boneMesh, glowMesh);
 
 // ─── Idle camera drift (no hand detected) ──────────────────────────
-let _t = 0;
+let _t       = 0;
+let _lastNow = 0; // rAF timestamp of the previous frame (ms)
 
 function driftCamera() {
   camera.position.x = Math.sin(_t * 0.3) * 0.05;
@@ -85,14 +92,26 @@ function loop(now) {
   requestAnimationFrame(loop);
 
   _t += 0.01;
+  const dt = _lastNow ? (now - _lastNow) / 1000 : 1 / 60;
+  _lastNow = now;
   tickFPS(now);
   updateUI();
 
-  if (state.detected) {
-    applySmoothing(opts.smooth);
+  if (state.isPlaying) {
+    tickPlayback(dt);
+  } else if (state.detected) {
+    applySmoothing(dt);
+    applyConstraints();
+  }
+
+  updateKinematics();
 
-    if (state.isRecording) captureFrame();
+  // Also runs while no hand is tracked: dropouts are recorded as gaps
+  if (state.isRecording) captureFrame();
+  if (opts.stream) streamFrame();
+  if (opts.osc)    sendOsc();
 
+  if (state.detected || state.isPlaying) {
     updateJointInstances();
     updateBoneInstances();
 
@@ -0,0 +1,121 @@
+/**
+ * retime.js
+ * Applies a take edit (see editor.js) to a frame array:
+ *  - trim to [in, out] seconds of the take;
+ *  - play it `speed` times as fast;
+ *  - resample onto a uniform grid of `fps` frames per second, each
+ *    frame interpolated linearly between the two recorded frames
+ *    around it — captured timestamps are only as regular as the render
+ *    loop was, exported ones are exactly k / fps.
+ *    fps 0 keeps the recorded frames and their own timestamps instead
+ *    (source timing — inference-rate and offline captures, whose
+ *    timestamps are the real capture times).
+ *
+ * Pure functions, no DOM. export.js runs every take through retime()
+ * after filling its gaps.
+ */
+
+/**
+ * The untouched take, resampled at the capture rate. out: null = end of
+ * the take; fps: 0 = source timing.
+ */
+export const DEFAULT_EDIT = Object.freeze({ in: 0, out: null, fps: 30, speed: 1 });
+
+const clamp = (v, lo, hi) => Math.min(Math.max(v, lo), hi);
+
+/**
+ * Trim bounds of `edit` on a take of `duration` seconds.
+ * @returns {[number, number]} [from, to] in seconds of the source take.
+ */
+export function editRange(duration, edit) {
+  const from = clamp(edit.in, 0, duration);
+  return [from, clamp(edit.out ?? duration, from, duration)];
+}
+
+/** Every numeric array of two hand entries, interpolated by u. */
+function lerpHand(ha, hb, u) {
+  const h = {};
+  for (const [key, va] of Object.entries(ha)) {
+    const vb = hb[key];
+    if (!Array.isArray(va) || !Array.isArray(vb) || va.length !== vb.length) continue;
+    const digits = key === 'ang' ? 1 : 5;
+    h[key] = va.map((x, n) => +(x + (vb[n] - x) * u).toFixed(digits));
+  }
+  return h;
+}
+
+/**
+ * Measured sampling of a take: mean rate and frame interval statistics.
+ * @param {Array<{t: number}>} frames
+ * @returns {{rate: number, interval: {min: number, median: number, max: number}}}
+ *   rate in frames per second, intervals in milliseconds.
+ */
+export function sampling(frames) {
+  const dts = [];
+  for (let i = 1; i < frames.length; i++) dts.push((frames[i].t - frames[i - 1].t) * 1000);
+  dts.sort((a, b) => a - b);
+
+  const span = frames.length > 1 ? frames[frames.length - 1].t - frames[0].t : 0;
+  const ms   = v => +(v ?? 0).toFixed(1);
+  return {
+    rate:     span > 0 ? +((frames.length - 1) / span).toFixed(2) : 0,
+    interval: { min: ms(dts[0]), median: ms(dts[dts.length >> 1]), max: ms(dts[dts.length - 1]) },
+  };
+}
+
+/**
+ * Source timing: the frames inside the trim (at least the one nearest
+ * the in point), re-based on the first and sped up.
+ */
+function retimeSource(frames, from, to, speed) {
+  let kept = frames.filter(f => f.t >= from - 1e-6 && f.t <= to + 1e-6);
+  if (!kept.length) kept = [frames.find(f => f.t >= from) ?? frames[frames.length - 1]];
+
+  const t0 = kept[0].t;
+  return kept.map(f => ({ ...f, t: +((f.t - t0) / speed).toFixed(4) }));
+}
+
+/**
+ * The take as edited. A hand tracked on both sides of a sample time is
+ * interpolated; one that appears or disappears in between takes the
+ * nearer frame's state, as does the `gap` flag. Each sample carries the
+ * `dropped` inferences of the source frames since the previous sample.
+ *
+ * @param {Array<{t: number, hands: object, gap?: boolean, dropped?: number}>} frames - Gap-filled take.
+ * @param {{in: number, out: number|null, fps: number, speed: number}} [edit]
+ * @returns {Array<{t: number, hands: object, gap?: boolean, dropped?: number}>} New frames, t = k / fps
+ *   (or the source times, re-based on the first kept frame, with fps 0).
+ */
+export function retime(frames, edit = DEFAULT_EDIT) {
+  const [from, to] = editRange(frames[frames.length - 1].t, edit);
+  const { fps, speed } = edit;
+  if (!fps) return retimeSource(frames, from, to, speed);
+
+  const n   = Math.floor(((to - from) / speed) * fps + 1e-6) + 1;
+  const out = new Array(n);
+  let   src = frames.findIndex(f => f.t >= from - 1e-6); // next frame whose drops are not counted
+
+  for (let k = 0, j = 0; k < n; k++) {
+    const ts = from + (k / fps) * speed;
+    while (j < frames.length - 2 && frames[j + 1].t <= ts) j++;
+
+    let dropped = 0;
+    for (; src >= 0 && src < frames.length && frames[src].t <= ts + 1e-6; src++) dropped += frames[src].dropped ?? 0;
+
+    const a    = frames[j];
+    const b    = frames[j + 1] ?? a;
+    const u    = b.t > a.t ? clamp((ts - a.t) / (b.t - a.t), 0, 1) : 0;
+    const near = u < 0.5 ? a : b;
+
+    const hands = {};
+    for (const hand of new Set([...Object.keys(a.hands), ...Object.keys(b.hands)])) {
+      if (a.hands[hand] && b.hands[hand]) hands[hand] = lerpHand(a.hands[hand], b.hands[hand], u);
+      else if (near.hands[hand])          hands[hand] = near.hands[hand];
+    }
+
+    out[k] = { t: +(k / fps).toFixed(4), hands };
+    if (near.gap) out[k].gap = true;
+    if (dropped)  out[k].dropped = dropped;
+  }
+  return out;
+}
@@ -1,15 +1,46 @@
 /**
  * settings.js
- * Wires up the settings panel: panel open/close, sliders, toggles.
- * Mutates the shared opts object in config.js.
+ * Wires up the settings panel: panel open/close, sliders, toggles,
+ * presets.
+ * Mutates the shared opts object in config.js, which is also the source
+ * of every control's initial state: each control registers a syncer
+ * that redraws it from opts, so restored settings and presets (see
+ * prefs.js) show up through refreshSettings().
  * Has no knowledge of Three.js internals — delegates side-effects
  * through callbacks or direct material/DOM mutations.
  */
 
-import { opts }       from './config.js';
-import { DOM }        from './ui.js';
-import { boneMat }    from './hand.js';
-import { setMPRate }  from './tracking.js';
+import { opts, OPT_RANGES } from './config.js';
+import { state }            from './state.js';
+import { DOM }              from './ui.js';
+import { boneMat }          from './hand.js';
+import { setMPRate, setWorkerInference,
+         inferenceBackend,
+         backendEvents }    from './tracking.js';
+import { decision, adaptEvents,
+         resetAdaptive,
+         COMPLEXITY_NAMES } from './adaptive.js';
+import { FILTERS }          from './filters.js';
+import { cancelTriggers }   from './triggers.js';
+import { setStreaming,
+         restartStream }    from './streaming.js';
+import { setOsc, restartOsc,
+         validOscAddress }  from './osc.js';
+import { showRecDuration }  from './recording.js';
+import { recalibrate }      from './constraints.js';
+import { startCalibration } from './calibration.js';
+import { profileNames, activeProfile,
+         selectProfile, deleteProfile,
+         profileEvents }    from './profiles.js';
+import { savePrefs, resetPrefs,
+         presetNames, isBuiltinPreset,
+         applyPreset, savePreset,
+         deletePreset, presetFile,
+         importPresetFile } from './prefs.js';
+
+// ─── opts → controls ─────────────────────────────────────────────────
+/** One function per control that redraws it from opts */
+const _syncers = [];
 
 // ─── Panel open / close ──────────────────────────────────────────────
 function initPanel() {
@@ -48,13 +79,12 @@ function initPanel() {
 // ─── Slider factory ──────────────────────────────────────────────────
 /**
  * @param {string}   slId      - Suffix used in HTML ids (sl-X, sf-X, sv-X)
- * @param {string}   optsKey   - Key in opts to update
- * @param {number}   min
- * @param {number}   max
+ * @param {string}   optsKey   - Key in opts to update (and in OPT_RANGES)
  * @param {Function} fmt       - (value) => display string
  * @param {Function} [onInput] - Optional side-effect callback (value)
  */
-function makeSlider(slId, optsKey, min, max, fmt, onInput) {
+function makeSlider(slId, optsKey, fmt, onInput) {
+  const [min, max] = OPT_RANGES[optsKey];
   const slider = document.getElementById('sl-' + slId);
   const fill   = document.getElementById('sf-' + slId);
   const label  = document.getElementById('sv-' + slId);
@@ -67,8 +97,15 @@ function makeSlider(slId, optsKey, min, max, fmt, onInput) {
     if (onInput) onInput(v);
   };
 
+  // The slider clamps and snaps the stored value to its range and step
+  const sync = () => {
+    slider.value = opts[optsKey];
+    update();
+  };
+
   slider.addEventListener('input', update);
-  update(); // sync display on init
+  _syncers.push(sync);
+  sync();
 }
 
 // ─── Toggle factory ───────────────────────────────────────────────────
@@ -83,6 +120,16 @@ function makeToggle(id, optsKey, onChange) {
     opts[optsKey] = el.checked;
     if (onChange) onChange(el.checked);
   });
+
+  // Side effects only run when the state actually changes
+  const sync = () => {
+    if (el.checked === opts[optsKey]) return;
+    el.checked = opts[optsKey];
+    if (onChange) onChange(el.checked);
+  };
+
+  _syncers.push(sync);
+  sync();
 }
 
 // ─── Smooth label helper ─────────────────────────────────────────────
@@ -93,17 +140,60 @@ const smoothLabel = v => {
   return 'HIGH';
 };
 
+// ─── Bottom-bar smoothing badge ──────────────────────────────────────
+const syncSmoothBadge = () => {
+  DOM.bSm.textContent = opts.filter === 'lerp'
+    ? smoothLabel(opts.smooth)
+    : FILTERS[opts.filter].label;
+};
+
+// ─── Filter selector ─────────────────────────────────────────────────
+/**
+ * Segmented buttons (#fsel .sb) pick opts.filter; each algorithm's
+ * sliders live in a matching .fg[data-filter] group that is shown
+ * only while that algorithm is selected.
+ */
+function initFilterSelect() {
+  const buttons = document.querySelectorAll('#fsel .sb');
+  const groups  = document.querySelectorAll('.fg[data-filter]');
+
+  const select = key => {
+    if (!FILTERS[key]) key = 'lerp';
+    opts.filter = key;
+    buttons.forEach(b => b.classList.toggle('active', b.dataset.filter === key));
+    groups.forEach(g => g.classList.toggle('active', g.dataset.filter === key));
+    syncSmoothBadge();
+  };
+
+  buttons.forEach(btn => {
+    btn.addEventListener('click', () => select(btn.dataset.filter));
+  });
+
+  _syncers.push(() => select(opts.filter));
+  select(opts.filter);
+}
+
 // ─── Init all sliders ────────────────────────────────────────────────
 function initSliders() {
-  makeSlider('sm', 'smooth', 0.02, 1.0, smoothLabel, v => {
-    DOM.bSm.textContent = smoothLabel(v);
-  });
+  makeSlider('sm', 'smooth', smoothLabel, syncSmoothBadge);
+
+  makeSlider('emc', 'euroMinCutoff', v => v.toFixed(1) + 'Hz');
+  makeSlider('ebe', 'euroBeta', v => v.toFixed(1));
+
+  makeSlider('kq', 'kalmanQ', v => v.toFixed(1));
+  makeSlider('kr', 'kalmanR', v => v.toFixed(3));
+
+  makeSlider('sc', 'scale', v => v.toFixed(2));
 
-  makeSlider('sc', 'scale', 0.5, 2.5, v => v.toFixed(2));
+  makeSlider('dg', 'dropoutGraceSec', v => (v > 0 ? v.toFixed(1) + 's' : 'OFF'));
 
-  makeSlider('mp', 'mpFPS', 5, 30, v => v + 'fps', v => {
+  makeSlider('ws', 'streamFPS', v => v + 'fps');
+
+  makeSlider('mp', 'mpFPS', v => v + 'fps', v => {
     setMPRate(v);
   });
+  makeSlider('mt', 'mpTargetFPS', v => v + 'fps');
+  makeSlider('ml', 'mpLatencyMs', v => v + 'ms');
 }
 
 // ─── Init all toggles ────────────────────────────────────────────────
@@ -118,14 +208,342 @@ function initToggles() {
     DOM.video.classList.toggle('hidden', !checked);
   });
 
+  makeToggle('t-an', 'angles');
+  makeToggle('t-bc', 'constrain');
+
   makeToggle('t-wi', 'wire', checked => {
     boneMat.wireframe = checked;
   });
+
+  makeToggle('t-gr', 'gestureRec', checked => {
+    if (!checked) cancelTriggers();
+  });
+
+  makeToggle('t-ws', 'stream', setStreaming);
+  makeToggle('t-osc', 'osc', setOsc);
+  makeToggle('t-ol', 'oscLandmarks');
+  makeToggle('t-cr', 'captureRaw');
+}
+
+// ─── Bone calibration ────────────────────────────────────────────────
+function initCalibration() {
+  document.getElementById('calbtn').addEventListener('click', recalibrate);
+}
+
+// ─── Hand profile ────────────────────────────────────────────────────
+/**
+ * Profile picker (activates on selection), a name field for CALIBRATE /
+ * DELETE, and a note with the active profile's measurements or what
+ * went wrong. opts.profile is (re)applied through selectProfile() on
+ * sync so restored settings reach tracking, smoothing and constraints.
+ */
+function initProfiles() {
+  const $    = id => document.getElementById(id);
+  const sel  = $('hpsel');
+  const name = $('hpname');
+  const cal  = $('hpcal');
+  const note = $('hpst');
+  let applied = null; // the opts.profile last passed to selectProfile()
+
+  const say = (text, err = false) => {
+    note.textContent = text;
+    note.classList.toggle('err', err);
+  };
+
+  const describe = () => {
+    const p = activeProfile();
+    say(p ? `${p.name}: palm ${(p.palmWidth * 100).toFixed(1)}cm · hand ${(p.handLength * 100).toFixed(1)}cm · depth ${p.depth.toFixed(2)}`
+          : 'No profile — average hand');
+  };
+
+  const fillList = () => {
+    const head = new Option('— NO PROFILE —', '');
+    sel.replaceChildren(head, ...profileNames().map(n => new Option(n, n)));
+    sel.value = opts.profile;
+  };
+
+  sel.addEventListener('change', () => {
+    selectProfile(sel.value);
+    if (sel.value) name.value = sel.value;
+  });
+
+  cal.addEventListener('click', async () => {
+    const n = name.value.trim();
+    if (!n) return say('Type a name first', true);
+    if (state.isRecording || state.isPlaying) return say('Stop recording / playback first', true);
+    cal.disabled = true;
+    say('Follow the steps on screen…');
+    const ok = await startCalibration(n);
+    cal.disabled = false;
+    if (ok) savePrefs();
+    else    say('Calibration cancelled or timed out', true);
+  });
+
+  $('hpdel').addEventListener('click', () => {
+    const n = name.value.trim();
+    if (!deleteProfile(n)) return say(n ? `No profile “${n}”` : 'Type a name first', true);
+    savePrefs();
+    say(`Deleted “${n}”`);
+  });
+
+  profileEvents.addEventListener('change', () => {
+    applied = opts.profile;
+    fillList();
+    describe();
+  });
+
+  const sync = () => {
+    if (opts.profile !== applied) selectProfile(opts.profile);
+  };
+  _syncers.push(sync);
+  sync();
+}
+
+// ─── Auto inference rate ─────────────────────────────────────────────
+/**
+ * AUTO RATE toggle; while on, the rate slider is greyed out and the
+ * note below shows adaptive.js's latest decision and why.
+ */
+function initAutoRate() {
+  const note = document.getElementById('ma-st');
+  const rate = document.getElementById('sl-mp').closest('.sr');
+
+  const show = () => {
+    rate.classList.toggle('off', opts.mpAuto);
+    if (!opts.mpAuto) {
+      note.textContent = 'Fixed rate from the slider · lite model';
+      return;
+    }
+    const d = decision;
+    note.textContent = d.idle
+      ? `IDLE · ${d.reason}`
+      : `${d.fps}FPS · ${COMPLEXITY_NAMES[d.complexity]} · render ${d.renderFPS}fps, pass ${Math.round(d.sendMs)}ms — ${d.reason}`;
+  };
+
+  adaptEvents.addEventListener('change', show);
+  makeToggle('t-ma', 'mpAuto', checked => {
+    if (checked) resetAdaptive();
+    setMPRate(opts.mpFPS); // reschedule at the new rate
+    show();
+  });
+  show();
+}
+
+// ─── Worker inference ────────────────────────────────────────────────
+/**
+ * WORKER INFERENCE toggle; the note below shows the backend tracking.js
+ * actually uses, and why the worker is not in use when it should be.
+ */
+function initWorkerInference() {
+  const note = document.getElementById('mw-st');
+
+  const show = () => {
+    const b = inferenceBackend();
+    if (b.worker) {
+      note.textContent = `Worker · ${b.transport.toUpperCase()} · ${b.delegate}`;
+    } else {
+      note.textContent = b.error ? `Main thread — worker unavailable: ${b.error}` : 'Main thread';
+    }
+    note.classList.toggle('err', !!b.error);
+  };
+
+  backendEvents.addEventListener('change', show);
+  makeToggle('t-mw', 'mpWorker', setWorkerInference);
+  show();
+}
+
+// ─── Capture mode ────────────────────────────────────────────────────
+/** RENDER / INFERENCE selector; takes in progress keep their mode. */
+function initCaptureMode() {
+  const buttons = document.querySelectorAll('#capmode .sb');
+
+  buttons.forEach(btn => {
+    btn.addEventListener('click', () => {
+      opts.captureMode = btn.dataset.mode;
+      sync();
+    });
+  });
+
+  const sync = () => {
+    buttons.forEach(b => b.classList.toggle('active', b.dataset.mode === opts.captureMode));
+  };
+  _syncers.push(sync);
+  sync();
+}
+
+// ─── Stream endpoint ─────────────────────────────────────────────────
+/** URL field and JSON / BINARY selector; either change reconnects. */
+function initStreamOptions() {
+  const url     = document.getElementById('ws-url');
+  const buttons = document.querySelectorAll('#wsfmt .sb');
+
+  url.addEventListener('change', () => {
+    opts.streamUrl = url.value.trim();
+    restartStream();
+  });
+
+  buttons.forEach(btn => {
+    btn.addEventListener('click', () => {
+      opts.streamFormat = btn.dataset.fmt;
+      buttons.forEach(b => b.classList.toggle('active', b === btn));
+      restartStream();
+    });
+  });
+
+  const sync = () => {
+    url.value = opts.streamUrl;
+    buttons.forEach(b => b.classList.toggle('active', b.dataset.fmt === opts.streamFormat));
+  };
+  _syncers.push(sync);
+  sync();
+}
+
+// ─── OSC bridge + address space ──────────────────────────────────────
+/** Bridge URL reconnects; an address template without {name} is refused. */
+function initOscOptions() {
+  const url  = document.getElementById('osc-url');
+  const addr = document.getElementById('osc-addr');
+
+  url.addEventListener('change', () => {
+    opts.oscUrl = url.value.trim();
+    restartOsc();
+  });
+
+  addr.addEventListener('change', () => {
+    const v = addr.value.trim();
+    if (validOscAddress(v)) opts.oscAddress = v;
+    addr.value = opts.oscAddress;
+  });
+
+  const sync = () => {
+    if (!validOscAddress(opts.oscAddress)) opts.oscAddress = '/hand/{hand}/{name}';
+    url.value  = opts.oscUrl;
+    addr.value = opts.oscAddress;
+  };
+  _syncers.push(sync);
+  sync();
+}
+
+// ─── Presets ─────────────────────────────────────────────────────────
+/**
+ * Preset picker (applies on selection), a name field for SAVE / DELETE
+ * / EXPORT, IMPORT from a JSON file and RESET to defaults. The note
+ * under the buttons reports what happened.
+ */
+function initPresets() {
+  const $     = id => document.getElementById(id);
+  const sel   = $('psel');
+  const name  = $('pname');
+  const file  = $('pfile');
+  const note  = $('pst');
+
+  const say = (text, err = false) => {
+    note.textContent = text;
+    note.classList.toggle('err', err);
+  };
+
+  const fillList = () => {
+    const head = new Option('— APPLY A PRESET —', '');
+    sel.replaceChildren(head, ...presetNames().map(n => new Option(n, n)));
+  };
+
+  sel.addEventListener('change', () => {
+    const n = sel.value;
+    sel.value = '';
+    if (!n || !applyPreset(n)) return;
+    refreshSettings();
+    if (!isBuiltinPreset(n)) name.value = n;
+    say(`Applied “${n}”`);
+  });
+
+  $('psave').addEventListener('click', () => {
+    const n = name.value.trim();
+    if (!n)                      return say('Type a name first', true);
+    if (!savePreset(n))          return say(`“${n}” is built in — pick another name`, true);
+    fillList();
+    say(`Saved “${n}”`);
+  });
+
+  $('pdel').addEventListener('click', () => {
+    const n = name.value.trim();
+    if (!deletePreset(n)) return say(n ? `No saved preset “${n}”` : 'Type a name first', true);
+    fillList();
+    say(`Deleted “${n}”`);
+  });
+
+  $('pexp').addEventListener('click', () => {
+    const n    = name.value.trim() || 'Hand.Track preset';
+    const blob = new Blob([JSON.stringify(presetFile(n), null, 2)], { type: 'application/json' });
+    const url  = URL.createObjectURL(blob);
+    Object.assign(document.createElement('a'), {
+      href:     url,
+      download: n.replace(/[^\w.-]+/g, '_') + '.json',
+    }).click();
+    URL.revokeObjectURL(url);
+    say(`Exported “${n}”`);
+  });
+
+  $('pimp').addEventListener('click', () => file.click());
+  file.addEventListener('change', async () => {
+    const f = file.files[0];
+    file.value = '';
+    if (!f) return;
+    try {
+      const n = importPresetFile(JSON.parse(await f.text()));
+      applyPreset(n);
+      refreshSettings();
+      fillList();
+      name.value = n;
+      say(`Imported and applied “${n}”`);
+    } catch (err) {
+      say(`${f.name}: ${err.message}`, true);
+    }
+  });
+
+  $('preset').addEventListener('click', () => {
+    resetPrefs();
+    refreshSettings();
+    say('All settings back to defaults');
+  });
+
+  fillList();
+}
+
+// ─── Persistence ─────────────────────────────────────────────────────
+/** Saves opts shortly after the last change made in the panel. */
+function initAutosave() {
+  const panel = document.getElementById('spanel');
+  let timer   = null;
+  const later = () => {
+    clearTimeout(timer);
+    timer = setTimeout(savePrefs, 400);
+  };
+  panel.addEventListener('input',  later);
+  panel.addEventListener('change', later);
+  panel.addEventListener('click',  later);
+  window.addEventListener('pagehide', savePrefs);
 }
 
 // ─── Public API ─────────────────────────────────────────────────────
+/** Builds the panel from opts. Call after loadPrefs(). */
 export function initSettings() {
   initPanel();
+  initFilterSelect();
   initSliders();
   initToggles();
+  initCalibration();
+  initProfiles();
+  initAutoRate();
+  initWorkerInference();
+  initCaptureMode();
+  initStreamOptions();
+  initOscOptions();
+  initPresets();
+  initAutosave();
+}
+
+/** Redraws every control (and the record duration) from opts. */
+export function refreshSettings() {
+  _syncers.forEach(sync => sync());
+  showRecDuration();
 }
@@ -0,0 +1,211 @@
+/**
+ * skeleton.js
+ * Hierarchical hand skeleton derived from CONNECTIONS, for exporters
+ * that need joint rotations rather than a cloud of points (BVH, glTF,
+ * the Blender armature).
+ *
+ *  - Topology: a tree rooted at the Wrist, built breadth-first so the
+ *    palm cross-braces in CONNECTIONS are skipped.
+ *  - Rest pose: the first recorded pose with the wrist rotation removed,
+ *    rebuilt with every bone fixed to its mean length over the take.
+ *  - Poses: metric world landmarks where the take has them (exportPoses).
+ *  - Per frame: each joint gets a global orientation from its bone
+ *    direction and the palm normal (so twist stays consistent), which is
+ *    converted to a rotation relative to the rest pose and its parent.
+ *
+ * Export-time only — allocations are fine here.
+ */
+
+/* global THREE */
+import { NJ, CONNECTIONS } from './config.js';
+
+// Landmarks that define the palm frame
+const WRIST      = 0;
+const INDEX_MCP  = 5;
+const MIDDLE_MCP = 9;
+const PINKY_MCP  = 17;
+
+// ─── Topology ────────────────────────────────────────────────────────
+/**
+ * Parent landmark index per landmark (-1 for the Wrist),
+ * and the breadth-first visiting order (parents before children).
+ */
+export const { PARENT, ORDER } = (() => {
+  const parent = new Array(NJ).fill(null);
+  const order  = [WRIST];
+  parent[WRIST] = -1;
+
+  for (let k = 0; k < order.length; k++) {
+    const j = order[k];
+    for (const [a, b] of CONNECTIONS) {
+      const next = a === j ? b : b === j ? a : -1;
+      if (next < 0 || parent[next] !== null) continue;
+      parent[next] = j;
+      order.push(next);
+    }
+  }
+
+  return { PARENT: parent, ORDER: order };
+})();
+
+/** Child landmark indices per landmark (empty for fingertips). */
+export const CHILDREN = PARENT.map((_, i) => PARENT.flatMap((p, c) => (p === i ? [c] : [])));
+
+/**
+ * One bone per joint that has a direction — the Wrist (pointing along
+ * the palm) and every non-tip landmark — in ORDER, as
+ * [joint, tail landmark, parent joint (-1 for the Wrist)].
+ */
+export const BONES = ORDER
+  .filter(i => i === WRIST || CHILDREN[i].length > 0)
+  .map(i => [i, i === WRIST ? MIDDLE_MCP : CHILDREN[i][0], PARENT[i]]);
+
+// ─── Helpers ─────────────────────────────────────────────────────────
+/** Reads a flat [x0,y0,z0,...] landmark array into Vector3s. */
+function toPoints(lm) {
+  return Array.from({ length: NJ }, (_, i) =>
+    new THREE.Vector3(lm[i * 3], lm[i * 3 + 1], lm[i * 3 + 2]));
+}
+
+/**
+ * Global orientation of joint i: +Y along its bone (palm axis for the
+ * Wrist), +Z along the palm normal. Tips have no bone and return null.
+ */
+function jointFrame(pts, i) {
+  if (i !== WRIST && CHILDREN[i].length === 0) return null;
+
+  const side   = new THREE.Vector3().subVectors(pts[INDEX_MCP], pts[PINKY_MCP]);
+  const palm   = new THREE.Vector3().subVectors(pts[MIDDLE_MCP], pts[WRIST]).normalize();
+  const normal = new THREE.Vector3().crossVectors(side, palm).normalize();
+
+  const y = i === WRIST
+    ? palm
+    : new THREE.Vector3().subVectors(pts[CHILDREN[i][0]], pts[i]).normalize();
+
+  // Palm normal made orthogonal to the bone; fall back to the palm
+  // side axis when the bone points along the normal.
+  const z = normal.clone().addScaledVector(y, -normal.dot(y));
+  if (z.lengthSq() < 1e-8) z.copy(side).addScaledVector(y, -side.dot(y));
+  z.normalize();
+
+  const x = new THREE.Vector3().crossVectors(y, z);
+  const m = new THREE.Matrix4().makeBasis(x, y, z);
+  return new THREE.Quaternion().setFromRotationMatrix(m);
+}
+
+// ─── Pose source ─────────────────────────────────────────────────────
+const palmLen = a => Math.hypot(
+  a[MIDDLE_MCP * 3] - a[0], a[MIDDLE_MCP * 3 + 1] - a[1], a[MIDDLE_MCP * 3 + 2] - a[2]);
+
+/**
+ * One hand's poses to export, one per frame (null where it is absent).
+ *
+ * When every frame with the hand has world landmarks they are used, in
+ * metres: the world pose is undistorted but centred on the hand, so it
+ * is moved to follow the screen-space wrist's travel from its first
+ * position, converted to metres by the median world / screen palm
+ * length ratio (as the Blender script does). Older takes without world
+ * landmarks fall back to the screen-space `lm`, which the camera
+ * framing distorts.
+ *
+ * @param {Array<{t: number, hands: object}>} frames
+ * @param {string} hand
+ * @returns {{ poses: Array<number[]|null>, metric: boolean }}
+ */
+export function exportPoses(frames, hand) {
+  const hs    = frames.map(f => f.hands[hand] ?? null);
+  const keyed = hs.filter(Boolean);
+  if (!keyed.length || !keyed.every(h => h.world)) {
+    return { poses: hs.map(h => h && h.lm), metric: false };
+  }
+
+  const ratios = keyed
+    .filter(h => palmLen(h.lm) > 1e-6)
+    .map(h => palmLen(h.world) / palmLen(h.lm))
+    .sort((a, b) => a - b);
+  const m   = ratios.length ? ratios[ratios.length >> 1] : 1;
+  const lm0 = keyed[0].lm;
+
+  const poses = hs.map(h => {
+    if (!h) return null;
+    const w     = h.world;
+    const shift = [0, 1, 2].map(k => (h.lm[k] - lm0[k]) * m - w[k]);
+    return w.map((v, k) => v + shift[k % 3]);
+  });
+  return { poses, metric: true };
+}
+
+// ─── Rest pose ───────────────────────────────────────────────────────
+/**
+ * Builds the rest skeleton for one hand of a take.
+ *
+ * @param {Array<number[]>} poses - Flat landmark arrays, one per frame
+ *                                  in which the hand is present.
+ * @returns {{ lengths: number[], offsets: THREE.Vector3[],
+ *             positions: THREE.Vector3[], invFrames: THREE.Quaternion[] }}
+ *          offsets[i] is landmark i relative to its parent at rest;
+ *          invFrames[i] is the inverse rest orientation of joint i.
+ */
+export function buildRest(poses) {
+  const sums = new Array(NJ).fill(0);
+  const pts  = poses.map(toPoints);
+
+  for (const p of pts) {
+    for (let i = 0; i < NJ; i++) {
+      if (PARENT[i] >= 0) sums[i] += p[i].distanceTo(p[PARENT[i]]);
+    }
+  }
+  const lengths = sums.map(s => s / pts.length);
+
+  // Reference directions from the first pose, wrist rotation removed
+  const first   = pts[0];
+  const unwrist = jointFrame(first, WRIST).invert();
+
+  const positions = new Array(NJ);
+  const offsets   = new Array(NJ);
+  positions[WRIST] = new THREE.Vector3();
+  offsets[WRIST]   = new THREE.Vector3();
+
+  for (const i of ORDER) {
+    if (i === WRIST) continue;
+    const dir = new THREE.Vector3()
+      .subVectors(first[i], first[PARENT[i]])
+      .applyQuaternion(unwrist)
+      .normalize();
+    offsets[i]   = dir.multiplyScalar(lengths[i]);
+    positions[i] = positions[PARENT[i]].clone().add(offsets[i]);
+  }
+
+  const invFrames = positions.map((_, i) => {
+    const f = jointFrame(positions, i);
+    return f ? f.invert() : null;
+  });
+
+  return { lengths, offsets, positions, invFrames };
+}
+
+// ─── Pose solve ──────────────────────────────────────────────────────
+/**
+ * Converts one recorded pose into joint rotations relative to `rest`.
+ *
+ * @param {number[]} lm   - Flat landmark array for one frame.
+ * @param {object}   rest - Result of buildRest().
+ * @returns {{ root: THREE.Vector3, local: THREE.Quaternion[] }}
+ *          root is the Wrist position; local[i] rotates joint i relative
+ *          to its parent (identity for fingertips).
+ */
+export function solvePose(lm, rest) {
+  const pts    = toPoints(lm);
+  const global = new Array(NJ);
+  const local  = new Array(NJ);
+
+  for (const i of ORDER) {
+    const f      = jointFrame(pts, i);
+    const parent = PARENT[i] >= 0 ? global[PARENT[i]] : null;
+
+    global[i] = f ? f.multiply(rest.invFrames[i]) : parent.clone();
+    local[i]  = parent ? parent.clone().invert().multiply(global[i]) : global[i].clone();
+  }
+
+  return { root: pts[WRIST], local };
+}
@@ -2,58 +2,232 @@
  * smoothing.js
  * Bridges the MediaPipe loop (~20fps) and the render loop (~60fps).
  *
- * MediaPipe writes raw positions into rawBuf (Float32Array).
- * The render loop calls applySmoothing() every frame, which lerps
- * smoothPos toward rawBuf — producing fluid motion at full framerate
- * even when inference runs slower.
+ * MediaPipe writes raw positions into rawBuf (one Float32Array per hand)
+ * and bumps rawSeq. The render loop calls applySmoothing() every frame,
+ * which runs the filter selected by opts.filter (see filters.js) on each
+ * landmark channel and writes the result into smoothPos — producing fluid
+ * motion at full framerate even when inference runs slower.
  *
- * Zero allocations in the hot path: lerp is computed in-place.
+ * Both buffers are keyed by handedness label (see HANDS in config.js).
+ * MediaPipe's metric world landmarks travel alongside in worldBuf →
+ * smoothWorld and go through the same filter.
+ *
+ * Inference-rate capture (opts.captureMode 'inference') needs a filtered
+ * pose per observation rather than per render frame: filterObservation()
+ * runs the same filter once per MediaPipe result, on its own state, into
+ * obsPos / obsWorld.
+ *
+ * Zero allocations in the hot path: filter state lives in preallocated
+ * Float64Arrays and is updated in-place.
  */
 
-import { NJ }    from './config.js';
-import { state } from './state.js';
+import { NJ, HANDS, opts } from './config.js';
+import { state }           from './state.js';
+import { FILTERS }         from './filters.js';
+import { activeProfile,
+         profileEvents }   from './profiles.js';
 
 /**
  * Raw landmark positions written directly by the MediaPipe callback.
- * Layout: [x0, y0, z0, x1, y1, z1, ...] — flat for cache efficiency.
- * @type {Float32Array}
+ * Layout per hand: [x0, y0, z0, x1, y1, z1, ...] — flat for cache efficiency.
+ * @type {Record<string, Float32Array>}
+ */
+export const rawBuf = Object.fromEntries(
+  HANDS.map(h => [h, new Float32Array(NJ * 3)]),
+);
+
+/**
+ * Per-hand observation counter, incremented by tracking.js after each
+ * write to rawBuf. Lets filters tell a fresh sample from a held one.
+ * @type {Record<string, number>}
  */
-export const rawBuf = new Float32Array(NJ * 3);
+export const rawSeq = Object.fromEntries(HANDS.map(h => [h, 0]));
 
 /**
- * Smoothed (lerped) positions consumed by the renderer.
+ * Raw world landmarks, same layout as rawBuf, written in the same
+ * tracking callback. Metres, origin at the hand's centre, axes as in
+ * the scene (Y-up, mirrored like the screen-space data).
+ * @type {Record<string, Float32Array>}
+ */
+export const worldBuf = Object.fromEntries(
+  HANDS.map(h => [h, new Float32Array(NJ * 3)]),
+);
+
+/**
+ * Smoothed (filtered) positions consumed by the renderer, per hand.
  * Stored as plain {x, y, z} objects to avoid a Three.js import here.
  * hand.js reads these directly when building instance matrices.
- * @type {Array<{x: number, y: number, z: number}>}
+ * @type {Record<string, Array<{x: number, y: number, z: number}>>}
  */
-export const smoothPos = Array.from(
-  { length: NJ },
-  () => ({ x: 0, y: 0, z: 0 }),
+export const smoothPos = Object.fromEntries(
+  HANDS.map(h => [h, Array.from({ length: NJ }, () => ({ x: 0, y: 0, z: 0 }))]),
 );
 
 /**
- * Apply one lerp step from rawBuf → smoothPos.
- * Must be called once per render frame while a hand is detected.
- *
- * @param {number} alpha - Lerp factor [0.02 … 1.0].
- *                         Lower = smoother (more lag).
- *                         Higher = snappier (more jitter).
+ * Smoothed world landmarks (metres), per hand. Read by recording.js.
+ * @type {Record<string, Array<{x: number, y: number, z: number}>>}
+ */
+export const smoothWorld = Object.fromEntries(
+  HANDS.map(h => [h, Array.from({ length: NJ }, () => ({ x: 0, y: 0, z: 0 }))]),
+);
+
+// ─── Filter state (pre-allocated per hand × filter) ─────────────────
+// Screen-space channels first, world channels after them.
+const makeState = () => Object.fromEntries(HANDS.map(h => [
+  h,
+  Object.fromEntries(Object.entries(FILTERS).map(
+    ([key, f]) => [key, new Float64Array(NJ * 3 * f.stride * 2)],
+  )),
+]));
+
+const _fstate = makeState();
+
+const _lastSeq  = Object.fromEntries(HANDS.map(h => [h, -1]));
+let   _activeKey = opts.filter;
+
+/** Longest step fed to a filter — avoids blow-ups after a tab switch. */
+const MAX_DT = 0.1;
+
+/** Same, between observations (inference can legitimately run at 5fps) */
+const MAX_OBS_DT = 0.5;
+
+/**
+ * World metres are multiplied by this before filtering (and divided
+ * after), so a hand spans roughly as many units as it does on screen
+ * and the filter parameters, tuned for screen space, behave the same.
+ */
+const WORLD_GAIN = 2;
+
+/**
+ * Palm width WORLD_GAIN suits (metres, index ↔ pinky MCP). With a hand
+ * profile the gain is scaled by AVERAGE_PALM / its palm width, so the
+ * filters treat a small and a large hand's motion alike.
+ */
+const AVERAGE_PALM = 0.08;
+
+let _worldGain = WORLD_GAIN;
+
+// A new gain invalidates the filter state: every hand snaps
+profileEvents.addEventListener('change', () => {
+  const p = activeProfile();
+  _worldGain = p ? (WORLD_GAIN * AVERAGE_PALM) / p.palmWidth : WORLD_GAIN;
+  for (const hand of HANDS) {
+    state.firstFrame[hand] = false;
+    _obsLast[hand] = -1;
+  }
+});
+
+// ─── Per-observation filter state (inference-rate capture) ──────────
+const _ostate  = makeState();
+const _obsLast = Object.fromEntries(HANDS.map(h => [h, -1]));   // time of the last observation (s), -1 = none
+const _obsKey  = Object.fromEntries(HANDS.map(h => [h, opts.filter]));
+
+/**
+ * Filtered pose of the latest observation, per hand — written by
+ * filterObservation(), same layout as smoothPos / smoothWorld.
+ */
+export const obsPos = Object.fromEntries(
+  HANDS.map(h => [h, Array.from({ length: NJ }, () => ({ x: 0, y: 0, z: 0 }))]),
+);
+export const obsWorld = Object.fromEntries(
+  HANDS.map(h => [h, Array.from({ length: NJ }, () => ({ x: 0, y: 0, z: 0 }))]),
+);
+
+/**
+ * Filters one pose (NJ × xyz) from `raw` into `pos`, using the filter
+ * state in `s` starting at channel offset `base`.
  */
-export function applySmoothing(alpha) {
+function filterPose(filter, s, base, raw, pos, gain, step, fresh, snap, switched) {
+  const stride = filter.stride;
+
   for (let i = 0; i < NJ; i++) {
     const b = i * 3;
+    const o = base + b * stride;
+    const p = pos[i];
 
-    if (!state.firstFrame) {
+    if (snap) {
       // First frame: snap directly — avoid hand flying in from (0,0,0).
-      smoothPos[i].x = rawBuf[b];
-      smoothPos[i].y = rawBuf[b + 1];
-      smoothPos[i].z = rawBuf[b + 2];
-    } else {
-      smoothPos[i].x += (rawBuf[b]     - smoothPos[i].x) * alpha;
-      smoothPos[i].y += (rawBuf[b + 1] - smoothPos[i].y) * alpha;
-      smoothPos[i].z += (rawBuf[b + 2] - smoothPos[i].z) * alpha;
+      filter.reset(s, o,              (p.x = raw[b])     * gain);
+      filter.reset(s, o + stride,     (p.y = raw[b + 1]) * gain);
+      filter.reset(s, o + stride * 2, (p.z = raw[b + 2]) * gain);
+      continue;
     }
+
+    if (switched) {
+      filter.reset(s, o,              p.x * gain);
+      filter.reset(s, o + stride,     p.y * gain);
+      filter.reset(s, o + stride * 2, p.z * gain);
+    }
+
+    p.x = filter.step(s, o,              raw[b]     * gain, step, fresh) / gain;
+    p.y = filter.step(s, o + stride,     raw[b + 1] * gain, step, fresh) / gain;
+    p.z = filter.step(s, o + stride * 2, raw[b + 2] * gain, step, fresh) / gain;
+  }
+}
+
+/**
+ * Run one filter step from rawBuf → smoothPos (and worldBuf →
+ * smoothWorld) for every tracked hand.
+ * Must be called once per render frame while a hand is detected.
+ *
+ * @param {number} dt - Seconds since the previous render frame.
+ */
+export function applySmoothing(dt) {
+  const key    = FILTERS[opts.filter] ? opts.filter : 'lerp';
+  const filter = FILTERS[key];
+  const step   = Math.min(Math.max(dt, 1e-4), MAX_DT);
+
+  // Switching algorithm: seed the new filter from the current output
+  // so the skeleton does not jump.
+  const switched = key !== _activeKey;
+  _activeKey = key;
+
+  for (let h = 0; h < HANDS.length; h++) {
+    const hand = HANDS[h];
+    if (!state.present[hand]) continue;
+
+    const s     = _fstate[hand][key];
+    const fresh = rawSeq[hand] !== _lastSeq[hand];
+    const snap  = !state.firstFrame[hand];
+    _lastSeq[hand] = rawSeq[hand];
+
+    filterPose(filter, s, 0, rawBuf[hand], smoothPos[hand],
+      1, step, fresh, snap, switched);
+    filterPose(filter, s, NJ * 3 * filter.stride, worldBuf[hand], smoothWorld[hand],
+      _worldGain, step, fresh, snap, switched);
+
+    state.firstFrame[hand] = true;
   }
+}
+
+// ─── Per-observation filtering (called by recording.js) ─────────────
+/**
+ * One filter step from rawBuf / worldBuf → obsPos / obsWorld for `hand`,
+ * whose latest observation was made at `t` seconds. The step is the real
+ * time since that hand's previous observation; the first one after
+ * resetObservation() snaps. Call once per MediaPipe result.
+ *
+ * @param {string} hand
+ * @param {number} t - Observation time, seconds (any fixed origin).
+ */
+export function filterObservation(hand, t) {
+  const key    = FILTERS[opts.filter] ? opts.filter : 'lerp';
+  const filter = FILTERS[key];
+  const snap   = _obsLast[hand] < 0;
+  const step   = Math.min(Math.max(t - _obsLast[hand], 1e-4), MAX_OBS_DT);
+  const s      = _ostate[hand][key];
+
+  const switched = !snap && key !== _obsKey[hand];
+  _obsKey[hand]  = key;
+  _obsLast[hand] = t;
+
+  filterPose(filter, s, 0, rawBuf[hand], obsPos[hand],
+    1, step, true, snap, switched);
+  filterPose(filter, s, NJ * 3 * filter.stride, worldBuf[hand], obsWorld[hand],
+    _worldGain, step, true, snap, switched);
+}
 
-  state.firstFrame = true;
+/** Forgets a hand's observation history, so its next one snaps. */
+export function resetObservation(hand) {
+  _obsLast[hand] = -1;
 }
@@ -0,0 +1,319 @@
+/**
+ * source.js
+ * Video input for the tracking pipeline: the webcam or a local video file.
+ *
+ * Both sources feed the same <video> element (DOM.video) that
+ * tracking.js reads, so the live pipeline does not care which is active.
+ *
+ * Offline capture (video files only) bypasses real-time sampling:
+ * the inference loop is stopped, the file is stepped one decoded frame
+ * at a time, and each frame's landmarks are recorded with the video's
+ * own media timestamp. The result is loaded as the current take, which
+ * keeps those timestamps on export (source timing, see retime.js).
+ */
+
+import { HANDS }                  from './config.js';
+import { state }                  from './state.js';
+import { rawBuf, worldBuf }       from './smoothing.js';
+import { DOM }                    from './ui.js';
+import { startMPLoop, stopMPLoop,
+         inferFrame }             from './tracking.js';
+import { loadTake, SOURCE_EDIT }  from './recording.js';
+import { anglesFromFlat }         from './kinematics.js';
+import { exitPlayback }           from './playback.js';
+
+/** Seek step used when requestVideoFrameCallback is unavailable (s) */
+const FALLBACK_STEP = 1 / 30;
+/** A seek that has not landed after this long fails the capture */
+const SEEK_TIMEOUT_MS = 10000;
+/**
+ * Nor may the next frame take longer (frame callbacks stop while the
+ * tab is hidden)
+ */
+const FRAME_TIMEOUT_MS = 10000;
+
+// ─── State ──────────────────────────────────────────────────────────
+let _stream   = null;  // active webcam MediaStream
+let _fileURL  = null;  // object URL of the loaded video file
+let _fileName = '';
+let _cancel   = false;
+let _onCancel = null;  // ends the wait for the next frame when CANCEL is hit
+
+// ─── Cached DOM refs ────────────────────────────────────────────────
+let _dom = null;
+
+function getSrcDom() {
+  if (_dom) return _dom;
+  const $ = id => document.getElementById(id);
+  _dom = {
+    buttons: document.querySelectorAll('#srcsel .sb'),
+    file:    $('srcfile'),
+    group:   $('srcfg'),
+    name:    $('srcname'),
+    offbtn:  $('offbtn'),
+    rst:     $('rst'),
+    pbar:    $('rpb'),
+    hint:    $('rhint'),
+    recbtn:  $('recbtn'),
+    impbtn:  $('impbtn'),
+  };
+  return _dom;
+}
+
+function showSource(kind) {
+  const d = getSrcDom();
+  d.buttons.forEach(b => b.classList.toggle('active', b.dataset.src === kind));
+  d.group.classList.toggle('active', kind === 'file');
+}
+
+// ─── Webcam ─────────────────────────────────────────────────────────
+/**
+ * Requests the webcam and attaches it to DOM.video.
+ * Throws if permission is denied.
+ */
+export async function startWebcam() {
+  // 320×240: 4× fewer pixels than 640×480 for MediaPipe to process.
+  // The video element is only used as a source for inference — not displayed
+  // at full resolution — so quality doesn't matter here.
+  _stream = await navigator.mediaDevices.getUserMedia({
+    video: {
+      width:     320,
+      height:    240,
+      facingMode: 'user',
+      frameRate:  { ideal: 30 },
+    },
+  });
+
+  if (_fileURL) {
+    URL.revokeObjectURL(_fileURL);
+    _fileURL = null;
+    DOM.video.removeAttribute('src');
+  }
+
+  DOM.video.loop      = false;
+  DOM.video.srcObject = _stream;
+  DOM.dCam.classList.add('on');
+}
+
+function stopWebcam() {
+  if (!_stream) return;
+  _stream.getTracks().forEach(t => t.stop());
+  _stream = null;
+}
+
+// ─── Video file ─────────────────────────────────────────────────────
+async function loadVideoFile(file) {
+  stopWebcam();
+  if (_fileURL) URL.revokeObjectURL(_fileURL);
+
+  _fileURL  = URL.createObjectURL(file);
+  _fileName = file.name;
+
+  const v = DOM.video;
+  v.srcObject = null;
+  v.src       = _fileURL;
+  v.loop      = true;
+
+  await new Promise((resolve, reject) => {
+    v.addEventListener('loadeddata', resolve, { once: true });
+    v.addEventListener('error', () => reject(new Error('Cannot decode video')), { once: true });
+  });
+  await v.play();
+
+  getSrcDom().name.textContent = `${file.name} · ${v.duration.toFixed(1)}s`;
+  showSource('file');
+}
+
+// ─── Offline capture ────────────────────────────────────────────────
+/**
+ * Plays until the next decoded frame is presented, pauses on it, and
+ * resolves with its media time (null once the video has ended or the
+ * capture is cancelled). Rejects if no frame comes within
+ * FRAME_TIMEOUT_MS.
+ */
+function nextVideoFrame(v) {
+  return new Promise((resolve, reject) => {
+    let handle = 0;
+    const finish = () => {
+      clearTimeout(timer);
+      v.removeEventListener('ended', stop);
+      _onCancel = null;
+    };
+    const stop = () => {
+      finish();
+      v.cancelVideoFrameCallback(handle);
+      v.pause();
+      resolve(null);
+    };
+    const timer = setTimeout(() => {
+      finish();
+      v.cancelVideoFrameCallback(handle);
+      v.pause();
+      reject(new Error('no video frame arrived — keep the tab visible while capturing'));
+    }, FRAME_TIMEOUT_MS);
+
+    _onCancel = stop;
+    v.addEventListener('ended', stop, { once: true });
+    handle = v.requestVideoFrameCallback((_, meta) => {
+      finish();
+      v.pause();
+      resolve(meta.mediaTime);
+    });
+    v.play().catch(() => {}); // aborted by the pause above
+  });
+}
+
+function seekTo(v, time) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      v.removeEventListener('seeked', done);
+      reject(new Error(`seek to ${time.toFixed(2)}s timed out`));
+    }, SEEK_TIMEOUT_MS);
+    const done = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    v.addEventListener('seeked', done, { once: true });
+    v.currentTime = time;
+  });
+}
+
+/** Runs inference on the frame on screen and snapshots every hand found. */
+async function captureVideoFrame(v, mediaTime) {
+  await inferFrame(v);
+
+  const hands = {};
+  for (const hand of HANDS) {
+    if (!state.present[hand]) continue;
+    hands[hand] = { lm: Array.from(rawBuf[hand], x => +x.toFixed(5)) };
+    if (!state.world[hand]) continue;
+    hands[hand].world = Array.from(worldBuf[hand], x => +x.toFixed(5));
+    hands[hand].ang   = anglesFromFlat(hands[hand].world).map(v => +v.toFixed(1));
+  }
+  const frame = { t: +mediaTime.toFixed(4), hands };
+  if (!state.detected) frame.gap = true;
+  return frame;
+}
+
+function setOfflineUI(active) {
+  const d = getSrcDom();
+  d.offbtn.textContent = active ? '✕ CANCEL OFFLINE CAPTURE' : '⏵ OFFLINE CAPTURE · EVERY FRAME';
+  d.recbtn.disabled    = active;
+  d.impbtn.disabled    = active; // a dropped file is refused by importer.js
+  d.buttons.forEach(b => { b.disabled = active; });
+  if (active) {
+    d.rst.textContent = 'OFFLINE';
+    d.pbar.style.width = '0%';
+    d.hint.classList.remove('err');
+  }
+}
+
+async function captureOffline() {
+  const v = DOM.video;
+  if (!_fileURL || state.isRecording || state.isCapturingOffline) return;
+
+  exitPlayback();
+  state.isCapturingOffline = true;
+  _cancel = false;
+  setOfflineUI(true);
+
+  await stopMPLoop();
+  v.pause();
+  v.loop = false;
+
+  const d      = getSrcDom();
+  const frames = [];
+  let   start  = null;
+
+  const record = async time => {
+    const f = await captureVideoFrame(v, time);
+    start ??= f.t;
+    f.t = +(f.t - start).toFixed(4);
+    frames.push(f);
+    d.pbar.style.width = Math.min(100, (time / v.duration) * 100) + '%';
+    d.hint.textContent = `Analysing frame ${frames.length} · ${time.toFixed(2)}s`;
+  };
+
+  let failure = null;
+  try {
+    await seekTo(v, 0);
+    if ('requestVideoFrameCallback' in v) {
+      let time;
+      while (!_cancel && (time = await nextVideoFrame(v)) !== null) await record(time);
+    } else {
+      for (let t = 0; !_cancel && t <= v.duration; t += FALLBACK_STEP) {
+        await seekTo(v, t);
+        await record(t);
+      }
+    }
+  } catch (err) {
+    failure = err;
+    console.error('[source] Offline capture error:', err);
+  } finally {
+    state.isCapturingOffline = false;
+    setOfflineUI(false);
+    v.loop = true;
+    v.play().catch(() => {});
+    startMPLoop();
+  }
+
+  // A failed capture keeps the frames analysed before it
+  if (failure) {
+    if (frames.length) {
+      loadTake(frames, `${_fileName} (offline, partial)`, null, SOURCE_EDIT);
+    } else {
+      d.rst.textContent = 'READY';
+    }
+    d.hint.classList.add('err');
+    d.hint.textContent = frames.length
+      ? `✕ Offline capture stopped after ${frames.length} frames — ${failure.message}`
+      : `✕ Offline capture failed — ${failure.message}`;
+  } else if (!_cancel && frames.length) {
+    loadTake(frames, `${_fileName} (offline)`, null, SOURCE_EDIT);
+  } else {
+    d.rst.textContent  = 'READY';
+    d.hint.textContent = 'Offline capture cancelled';
+  }
+}
+
+// ─── Public API ─────────────────────────────────────────────────────
+/** Wires the source selector, file picker and offline capture button. */
+export function initSource() {
+  const d = getSrcDom();
+
+  d.buttons.forEach(btn => {
+    btn.addEventListener('click', async () => {
+      if (btn.dataset.src === 'file') {
+        d.file.click();
+        return;
+      }
+      try {
+        await startWebcam();
+        showSource('cam');
+      } catch (err) {
+        console.error('[source] Camera error:', err);
+      }
+    });
+  });
+
+  d.file.addEventListener('change', async () => {
+    const file = d.file.files[0];
+    d.file.value = '';
+    if (!file) return;
+    try {
+      await loadVideoFile(file);
+    } catch (err) {
+      d.name.textContent = `✕ ${err.message}`;
+      console.error('[source] Video error:', err);
+    }
+  });
+
+  d.offbtn.addEventListener('click', () => {
+    if (state.isCapturingOffline) {
+      _cancel = true;
+      _onCancel?.(); // don't wait for a frame that may never come
+    } else {
+      captureOffline();
+    }
+  });
+}
@@ -7,16 +7,49 @@
  * Do NOT store derived or UI-only state here.
  */
 export const state = {
-  /** True when MediaPipe is actively tracking a hand */
+  /** True when MediaPipe is actively tracking at least one hand */
   detected: false,
 
   /**
-   * True after the first MediaPipe frame has been received.
-   * Used by smoothing to skip the lerp on the very first frame
-   * (avoids the hand "flying in" from origin).
+   * Per-hand tracking flags, keyed by handedness label (see HANDS).
+   * Set by tracking.js once a detection has been assigned to that slot.
    */
-  firstFrame: false,
+  present: { Left: false, Right: false },
+
+  /**
+   * Per-hand: true after the first MediaPipe frame for that hand
+   * has been received. Used by smoothing to skip the lerp on the very
+   * first frame (avoids the hand "flying in" from origin).
+   */
+  firstFrame: { Left: false, Right: false },
+
+  /**
+   * Per-hand: true while smoothWorld holds a real metric pose (the
+   * tracker reported world landmarks, or the take being played has them).
+   */
+  world: { Left: false, Right: false },
+
+  /**
+   * Per-hand handedness confidence (0–1) MediaPipe reported for the
+   * latest detection assigned to that slot; 0 when the hand is absent.
+   */
+  score: { Left: 0, Right: 0 },
+
+  /** True while the guided hand calibration runs (calibration.js) */
+  isCalibrating: false,
 
   /** True while the animation recorder is capturing frames */
   isRecording: false,
+
+  /**
+   * True while source.js analyses a video file frame by frame (offline
+   * capture). It owns the tracker and the take until it ends.
+   */
+  isCapturingOffline: false,
+
+  /**
+   * True while the recorded take drives the skeleton (playback.js).
+   * Live tracking results are ignored until it is cleared.
+   */
+  isPlaying: false,
 };
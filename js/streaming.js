@@ -0,0 +1,180 @@
+/**
+ * streaming.js
+ * Live landmark stream to external tools (Unity, TouchDesigner, Python)
+ * over a WebSocket (opts.stream, opts.streamUrl).
+ *
+ * The renderer calls streamFrame() every frame; it sends the smoothed
+ * pose (smoothPos / smoothWorld — exactly what the viewer shows) at up
+ * to opts.streamFPS, also while a take is played back. Frames are
+ * dropped, never queued, while the socket is still busy with earlier
+ * ones.
+ *
+ * Messages:
+ *  - 'hello' (text, once per connection): landmark names, units and
+ *    the binary layout, so clients need no hard-coded tables.
+ *  - frames, opts.streamFormat:
+ *    'json'   → {type:'frame', seq, t, hands:[{hand, score, lm, world}]}
+ *    'binary' → little-endian Float32Array:
+ *               [seq, t, n, n × (id, score, lm×63, world×63)]
+ *               id = index into HANDS; world NaN when unavailable.
+ *  t is seconds since the connection opened; score is MediaPipe's
+ *  handedness confidence (null / NaN for a replayed take).
+ *
+ * A lost or refused connection is retried (see link.js) for as long as
+ * streaming is switched on.
+ */
+
+import { NJ, HANDS, LANDMARK_NAMES,
+         opts }                from './config.js';
+import { state }               from './state.js';
+import { smoothPos,
+         smoothWorld }         from './smoothing.js';
+import { DOM }                 from './ui.js';
+import { createLink }          from './link.js';
+import { depthFactor }         from './profiles.js';
+
+// ─── Constants ──────────────────────────────────────────────────────
+const HEADER_FLOATS  = 3;                // seq, t, hand count
+const HAND_FLOATS    = 2 + NJ * 3 * 2;   // id, score, lm, world
+
+// ─── State ──────────────────────────────────────────────────────────
+let _openedAt  = 0;     // performance.now() when the connection opened
+let _lastSend  = 0;
+let _seq       = 0;
+let _sent      = 0;     // frames sent since the last status refresh
+let _statusAt  = 0;
+
+/** Binary frame scratch, reused for every message */
+const _bin = new Float32Array(HEADER_FLOATS + HANDS.length * HAND_FLOATS);
+
+// ─── Cached DOM refs ────────────────────────────────────────────────
+let _dom = null;
+
+function getStreamDom() {
+  if (_dom) return _dom;
+  _dom = { status: document.getElementById('ws-st') };
+  return _dom;
+}
+
+/**
+ * Header dot: off (grey), connecting / retrying (red), open (cyan).
+ * @param {'off'|'wait'|'on'} mode
+ * @param {string} text - Status line in the settings panel.
+ */
+function setStatus(mode, text) {
+  DOM.dWs.classList.toggle('on',  mode === 'on');
+  DOM.dWs.classList.toggle('red', mode === 'wait');
+  DOM.dWs.parentElement.title = text;
+  getStreamDom().status.textContent = text;
+}
+
+// ─── Connection ─────────────────────────────────────────────────────
+const _link = createLink({
+  onStatus: setStatus,
+  onOpen(ws) {
+    _openedAt = performance.now();
+    _statusAt = _openedAt;
+    _seq      = 0;
+    _sent     = 0;
+    ws.send(JSON.stringify(helloMessage()));
+  },
+});
+
+function helloMessage() {
+  return {
+    type:      'hello',
+    generator: 'Hand.Track 3D',
+    format:    opts.streamFormat,
+    fps:       opts.streamFPS,
+    hands:     HANDS,
+    landmarks: LANDMARK_NAMES,
+    units:     {
+      lm:    `scene units (normalised image coords x Scale setting, z x ${+depthFactor().toFixed(3)}), origin at image centre, Y-up, mirrored`,
+      world: 'metres, origin at the hand centre, Y-up, mirrored',
+      t:     'seconds since the connection opened',
+    },
+    binary:    {
+      header: ['seq', 't', 'hands'],
+      hand:   ['id', 'score', `lm[${NJ * 3}]`, `world[${NJ * 3}]`],
+    },
+  };
+}
+
+// ─── Encoding ───────────────────────────────────────────────────────
+const flat = pts => pts.flatMap(p => [+p.x.toFixed(5), +p.y.toFixed(5), +p.z.toFixed(5)]);
+
+function jsonFrame(t, hands) {
+  return JSON.stringify({
+    type: 'frame',
+    seq:  _seq,
+    t:    +t.toFixed(4),
+    hands: hands.map(hand => ({
+      hand,
+      score: state.isPlaying ? null : +state.score[hand].toFixed(3),
+      lm:    flat(smoothPos[hand]),
+      world: state.world[hand] ? flat(smoothWorld[hand]) : null,
+    })),
+  });
+}
+
+function binaryFrame(t, hands) {
+  const b = _bin;
+  b[0] = _seq;
+  b[1] = t;
+  b[2] = hands.length;
+
+  let o = HEADER_FLOATS;
+  for (const hand of hands) {
+    b[o++] = HANDS.indexOf(hand);
+    b[o++] = state.isPlaying ? NaN : state.score[hand];
+
+    const pos = smoothPos[hand];
+    for (let i = 0; i < NJ; i++, o += 3) {
+      b[o] = pos[i].x; b[o + 1] = pos[i].y; b[o + 2] = pos[i].z;
+    }
+
+    const world = state.world[hand] ? smoothWorld[hand] : null;
+    for (let i = 0; i < NJ; i++, o += 3) {
+      b[o]     = world ? world[i].x : NaN;
+      b[o + 1] = world ? world[i].y : NaN;
+      b[o + 2] = world ? world[i].z : NaN;
+    }
+  }
+  return b.subarray(0, o);
+}
+
+// ─── Public: per-frame send (called by renderer) ────────────────────
+export function streamFrame() {
+  if (!_link.ready()) return;
+
+  const now = performance.now();
+  if (now - _statusAt >= 1000) {
+    setStatus('on', `CONNECTED · ${Math.round(_sent * 1000 / (now - _statusAt))} msg/s`);
+    _statusAt = now;
+    _sent     = 0;
+  }
+
+  // 1ms slack: at 60Hz, two render frames must count as 1/30s
+  if (now - _lastSend < 1000 / opts.streamFPS - 1) return;
+  _lastSend = now;
+
+  const t     = (now - _openedAt) / 1000;
+  const hands = HANDS.filter(h => state.present[h]);
+
+  _link.send(opts.streamFormat === 'binary' ? binaryFrame(t, hands) : jsonFrame(t, hands));
+  _seq++;
+  _sent++;
+}
+
+// ─── Public: control (called by settings) ───────────────────────────
+/** Opens or closes the stream to match opts.stream. */
+export function setStreaming(on) {
+  opts.stream = on;
+  if (on) _link.open(opts.streamUrl);
+  else    _link.close();
+}
+
+/** Reconnects with the current URL / format, if streaming is on. */
+export function restartStream() {
+  if (opts.stream) _link.open(opts.streamUrl);
+}
@@ -0,0 +1,113 @@
+/**
+ * tabular.js
+ * Landmark time series as plain tables for analysis tools:
+ *  - CSV: one row per frame, named columns (Index_Tip_x, ...) from
+ *    LANDMARK_NAMES, after the frame's tracking quality;
+ *  - NumPy .npy: float32 array of shape (frames, 21, 3), plus a float64
+ *    timestamps array of shape (frames,) and the per-hand quality table
+ *    (frames, QUALITY_NAMES).
+ *
+ * Every table has one row per frame of the take, so files of the same
+ * export line up row for row. Frames without the hand are empty cells
+ * in the CSV and NaN in the .npy.
+ *
+ * Export-time only — allocations are fine here.
+ */
+
+import { NJ, LANDMARK_NAMES } from './config.js';
+import { QUALITY_NAMES }      from './quality.js';
+
+// ─── CSV ─────────────────────────────────────────────────────────────
+const CSV_COLUMNS = [
+  't', 'gap', 'present', 'quality',
+  ...LANDMARK_NAMES.flatMap(n => [`${n}_x`, `${n}_y`, `${n}_z`]),
+];
+
+/**
+ * @param {Array<object>} frames
+ * @param {string} hand - Handedness label.
+ * @param {'lm'|'world'} key - Coordinate space (see the JSON `units`).
+ * @returns {string}
+ */
+export function landmarkCSV(frames, hand, key) {
+  const empty = new Array(NJ * 3).fill('');
+  const rows  = frames.map(f => {
+    const data = f.hands[hand]?.[key];
+    const q    = data ? f.hands[hand].q?.[0] ?? '' : '';
+    return [f.t, f.gap ? 1 : 0, data ? 1 : 0, q, ...(data ?? empty)].join(',');
+  });
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+// ─── NumPy ───────────────────────────────────────────────────────────
+/**
+ * Serialises a little-endian array in .npy format version 1.0.
+ *
+ * @param {'<f4'|'<f8'} descr
+ * @param {number[]} shape
+ * @param {ArrayLike<number>} values - C order, length = product of shape.
+ * @returns {ArrayBuffer}
+ */
+function npy(descr, shape, values) {
+  const dims   = shape.length === 1 ? `${shape[0]},` : shape.join(', ');
+  const dict   = `{'descr': '${descr}', 'fortran_order': False, 'shape': (${dims}), }`;
+  // Magic (6) + version (2) + header length (2) + header, padded with
+  // spaces and a closing newline to a multiple of 64 bytes.
+  const padLen = 64 - ((10 + dict.length + 1) % 64);
+  const header = dict + ' '.repeat(padLen % 64) + '\n';
+
+  const width = descr === '<f8' ? 8 : 4;
+  const buf   = new ArrayBuffer(10 + header.length + values.length * width);
+  const bytes = new Uint8Array(buf);
+  const view  = new DataView(buf);
+
+  bytes.set([0x93, 0x4e, 0x55, 0x4d, 0x50, 0x59, 1, 0]); // \x93NUMPY v1.0
+  view.setUint16(8, header.length, true);
+  for (let i = 0; i < header.length; i++) bytes[10 + i] = header.charCodeAt(i);
+
+  let o = 10 + header.length;
+  for (let i = 0; i < values.length; i++, o += width) {
+    if (width === 8) view.setFloat64(o, values[i], true);
+    else             view.setFloat32(o, values[i], true);
+  }
+  return buf;
+}
+
+/**
+ * @param {Array<object>} frames
+ * @param {string} hand - Handedness label.
+ * @param {'lm'|'world'} key - Coordinate space.
+ * @returns {ArrayBuffer} float32 .npy, shape (frames, 21, 3)
+ */
+export function landmarkNPY(frames, hand, key) {
+  const values = new Float32Array(frames.length * NJ * 3).fill(NaN);
+  frames.forEach((f, i) => {
+    const data = f.hands[hand]?.[key];
+    if (data) values.set(data, i * NJ * 3);
+  });
+  return npy('<f4', [frames.length, NJ, 3], values);
+}
+
+/**
+ * @param {Array<object>} frames
+ * @param {string} hand - Handedness label.
+ * @returns {ArrayBuffer} float32 .npy, shape (frames, QUALITY_NAMES.length),
+ *   NaN where the hand is absent or has no quality
+ */
+export function qualityNPY(frames, hand) {
+  const width  = QUALITY_NAMES.length;
+  const values = new Float32Array(frames.length * width).fill(NaN);
+  frames.forEach((f, i) => {
+    const q = f.hands[hand]?.q;
+    if (q?.length === width) values.set(q, i * width);
+  });
+  return npy('<f4', [frames.length, width], values);
+}
+
+/**
+ * @param {Array<object>} frames
+ * @returns {ArrayBuffer} float64 .npy of frame timestamps (s), shape (frames,)
+ */
+export function timesNPY(frames) {
+  return npy('<f8', [frames.length], frames.map(f => f.t));
+}
@@ -0,0 +1,402 @@
+/**
+ * takes.js
+ * Take manager: every finished take — recorded, imported or captured
+ * offline — is saved to the take store (takestore.js) with its name,
+ * duration, frame count, date and a thumbnail, so takes survive a
+ * reload.
+ *
+ * The TAKES panel lists them newest first:
+ *  - LOAD makes a take the selected one (recFrames): playback and the
+ *    export modal act on it;
+ *  - RENAME / DELETE edit the library (DELETE asks for a second click);
+ *  - the checkboxes pick takes to COMPARE side by side or to EXPORT
+ *    together in one ZIP (see openExport in export.js).
+ * On boot the newest take is selected again. Edits made in the take
+ * editor (editor.js) are stored with the take they belong to.
+ */
+
+import { HANDS, CONNECTIONS }    from './config.js';
+import { state }                 from './state.js';
+import { recFrames, recTake,
+         recEvents, loadTake }   from './recording.js';
+import { exitPlayback }          from './playback.js';
+import { openExport }            from './export.js';
+import { listTakes, getFrames, addTake,
+         updateTake, deleteTake } from './takestore.js';
+
+// ─── Constants ──────────────────────────────────────────────────────
+const THUMB_W   = 96;   // canvas px, drawn at half size in the list
+const THUMB_H   = 72;
+const INDEX_TIP = 8;
+const DELETE_MS = 3000; // how long DELETE waits for the confirming click
+const EDIT_SAVE = 400;  // ms after the last editor change
+
+// ─── State ──────────────────────────────────────────────────────────
+let   _takes     = [];        // take store records, newest first
+const _checked   = new Set(); // ids ticked for compare / export
+let   _editTimer = null;
+
+// ─── Cached DOM refs ────────────────────────────────────────────────
+let _dom = null;
+
+function getTakesDom() {
+  if (_dom) return _dom;
+  const $ = id => document.getElementById(id);
+  _dom = {
+    panel: $('tpanel'),
+    open:  $('tkbtn'),
+    close: $('tclose'),
+    count: $('tcount'),
+    list:  $('tlist'),
+    cmp:   $('tcmp'),
+    exp:   $('texp'),
+    table: $('tcmpw'),
+    note:  $('tst'),
+  };
+  return _dom;
+}
+
+const el = (tag, cls, text) => {
+  const e = document.createElement(tag);
+  if (cls)  e.className   = cls;
+  if (text) e.textContent = text;
+  return e;
+};
+
+function say(text, err = false) {
+  const d = getTakesDom();
+  d.note.textContent = text;
+  d.note.classList.toggle('err', err);
+}
+
+// ─── Take summary (stored with each take) ───────────────────────────
+/**
+ * Figures shown in the list and the comparison. Travel and peak speed
+ * are of the index fingertip relative to the hand centre (world
+ * landmarks, metres), summed / maxed over both hands; null for takes
+ * without world landmarks.
+ */
+function summarise(frames) {
+  const duration = frames[frames.length - 1].t;
+  const hands    = HANDS.filter(h => frames.some(f => f.hands[h]));
+  let travel = 0;
+  let peak   = 0;
+  let world  = false;
+
+  for (const hand of hands) {
+    let prev = null;
+    for (const f of frames) {
+      const w = f.hands[hand]?.world;
+      if (!w) { prev = null; continue; }
+      world = true;
+
+      const o = INDEX_TIP * 3;
+      if (prev && f.t > prev.t) {
+        const dist = Math.hypot(w[o] - prev.w[o], w[o + 1] - prev.w[o + 1], w[o + 2] - prev.w[o + 2]);
+        travel += dist;
+        peak    = Math.max(peak, dist / (f.t - prev.t));
+      }
+      prev = { t: f.t, w };
+    }
+  }
+
+  return {
+    duration:   +duration.toFixed(3),
+    frameCount: frames.length,
+    fps:        +(frames.length / Math.max(duration, 0.001)).toFixed(1),
+    hands,
+    gaps:       frames.filter((f, i) => f.gap && !frames[i - 1]?.gap).length,
+    travel:     world ? +travel.toFixed(4) : null,
+    peakSpeed:  world ? +peak.toFixed(3)   : null,
+  };
+}
+
+/**
+ * PNG data URL: the bones of the middle tracked frame over the faint
+ * index fingertip trail of the whole take, fitted to the thumbnail.
+ */
+function thumbnail(frames) {
+  const canvas = Object.assign(document.createElement('canvas'), { width: THUMB_W, height: THUMB_H });
+  const ctx    = canvas.getContext('2d');
+  const posed  = frames.filter(f => Object.keys(f.hands).length);
+  const mid    = posed[posed.length >> 1];
+
+  ctx.fillStyle = '#04121a';
+  ctx.fillRect(0, 0, THUMB_W, THUMB_H);
+  if (!mid) return canvas.toDataURL('image/png');
+
+  const trails = HANDS.map(h => posed
+    .filter(f => f.hands[h])
+    .map(f => f.hands[h].lm.slice(INDEX_TIP * 3, INDEX_TIP * 3 + 2)));
+  const poses  = Object.values(mid.hands).map(h => h.lm);
+
+  // Fit everything drawn into the canvas, keeping the aspect ratio.
+  // A plain loop: spreading an hour of points into Math.min overflows
+  // the stack.
+  let x0 = Infinity, x1 = -Infinity, y0 = Infinity, y1 = -Infinity;
+  const extend = (x, y) => {
+    if (x < x0) x0 = x;
+    if (x > x1) x1 = x;
+    if (y < y0) y0 = y;
+    if (y > y1) y1 = y;
+  };
+  for (const trail of trails) for (const [x, y] of trail) extend(x, y);
+  for (const lm of poses) for (let i = 0; i < lm.length; i += 3) extend(lm[i], lm[i + 1]);
+
+  const pad = 6;
+  const k   = Math.min((THUMB_W - 2 * pad) / Math.max(x1 - x0, 1e-6),
+                       (THUMB_H - 2 * pad) / Math.max(y1 - y0, 1e-6));
+  const px  = x => THUMB_W / 2 + (x - (x0 + x1) / 2) * k;
+  const py  = y => THUMB_H / 2 - (y - (y0 + y1) / 2) * k; // Y-up → canvas
+
+  ctx.lineWidth   = 1;
+  ctx.strokeStyle = 'rgba(255, 0, 170, 0.45)';
+  for (const trail of trails) {
+    ctx.beginPath();
+    trail.forEach(([x, y], i) => (i ? ctx.lineTo(px(x), py(y)) : ctx.moveTo(px(x), py(y))));
+    ctx.stroke();
+  }
+
+  ctx.lineWidth   = 1.5;
+  ctx.strokeStyle = '#00ffe7';
+  for (const lm of poses) {
+    ctx.beginPath();
+    for (const [a, b] of CONNECTIONS) {
+      ctx.moveTo(px(lm[a * 3]), py(lm[a * 3 + 1]));
+      ctx.lineTo(px(lm[b * 3]), py(lm[b * 3 + 1]));
+    }
+    ctx.stroke();
+  }
+  return canvas.toDataURL('image/png');
+}
+
+/** "Take N", one past the highest N in the library. */
+function nextTakeName() {
+  const n = _takes.map(t => /^Take (\d+)$/.exec(t.name)?.[1] ?? 0);
+  return `Take ${Math.max(0, ...n.map(Number)) + 1}`;
+}
+
+// ─── List ───────────────────────────────────────────────────────────
+const dateLabel = ms => new Date(ms).toLocaleString([], {
+  month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit',
+});
+
+function button(text, onClick) {
+  const b = el('button', 'tb', text);
+  b.addEventListener('click', () => onClick(b));
+  return b;
+}
+
+function takeItem(take) {
+  const li   = el('li', take.id === recTake.id ? 'tk sel' : 'tk');
+  const box  = Object.assign(el('input'), { type: 'checkbox', checked: _checked.has(take.id) });
+  const img  = Object.assign(el('img', 'tth'), { src: take.thumb, alt: '' });
+  const info = el('div', 'ti');
+  const name = el('div', 'tn', take.name);
+  const acts = el('div', 'ta');
+
+  box.setAttribute('aria-label', `Select ${take.name}`);
+  box.addEventListener('change', () => {
+    if (box.checked) _checked.add(take.id); else _checked.delete(take.id);
+    syncButtons();
+  });
+
+  name.title = take.name;
+  acts.append(
+    button('LOAD',   () => selectTake(take)),
+    button('RENAME', () => renameTake(take, name)),
+    button('DELETE', b  => removeTake(take, b)),
+  );
+  info.append(name, el('div', 'tm', `${take.duration.toFixed(1)}s · ${take.frameCount} FR · ${dateLabel(take.created)}`), acts);
+  li.append(box, img, info);
+  return li;
+}
+
+function renderList() {
+  const d = getTakesDom();
+  for (const id of _checked) if (!_takes.some(t => t.id === id)) _checked.delete(id);
+
+  d.count.textContent = _takes.length;
+  d.list.replaceChildren(...(_takes.length
+    ? _takes.map(takeItem)
+    : [el('li', 'tempty', 'No takes yet — record or import one')]));
+  syncButtons();
+}
+
+function syncButtons() {
+  const d = getTakesDom();
+  d.cmp.disabled = _checked.size < 2;
+  d.exp.disabled = _checked.size < 1;
+  if (_checked.size < 2) d.table.replaceChildren();
+}
+
+/** Checked takes, oldest first (recording order). */
+const checkedTakes = () => _takes.filter(t => _checked.has(t.id)).reverse();
+
+// ─── Actions ────────────────────────────────────────────────────────
+async function selectTake(take) {
+  if (state.isRecording) return;
+  if (state.isCapturingOffline) {
+    say('✕ Finish or cancel the offline capture first', true);
+    return;
+  }
+  try {
+    const frames = await getFrames(take.id);
+    if (!frames?.length) throw new Error('its frames are missing');
+    exitPlayback();
+    loadTake(frames, take.name, take.id, take.edit ?? null); // → 'take' → renderList()
+  } catch (err) {
+    say(`✕ Could not load “${take.name}” — ${err.message}`, true);
+  }
+}
+
+/** Swaps the name for a text field; Enter or leaving it saves, Esc cancels. */
+function renameTake(take, label) {
+  const input = Object.assign(el('input', 'stx tre'), { value: take.name, maxLength: 60 });
+  let done = false;
+
+  const finish = async save => {
+    if (done) return;
+    done = true;
+    const name = input.value.trim();
+    if (save && name && name !== take.name) {
+      try {
+        Object.assign(take, await updateTake(take.id, { name }));
+        if (recTake.id === take.id) recTake.name = name;
+        say(`Renamed to “${name}”`);
+      } catch (err) {
+        say(`✕ Rename failed — ${err.message}`, true);
+      }
+    }
+    renderList();
+  };
+
+  input.addEventListener('keydown', e => {
+    if (e.key === 'Enter')  finish(true);
+    if (e.key === 'Escape') finish(false);
+  });
+  input.addEventListener('blur', () => finish(true));
+  label.replaceWith(input);
+  input.focus();
+  input.select();
+}
+
+async function removeTake(take, btn) {
+  if (!btn.classList.contains('arm')) {
+    btn.classList.add('arm');
+    btn.textContent = 'SURE?';
+    setTimeout(() => {
+      btn.classList.remove('arm');
+      btn.textContent = 'DELETE';
+    }, DELETE_MS);
+    return;
+  }
+
+  try {
+    await deleteTake(take.id);
+    _takes = _takes.filter(t => t.id !== take.id);
+    if (recTake.id === take.id) recTake.id = null; // stays loaded, no longer stored
+    say(`Deleted “${take.name}”`);
+  } catch (err) {
+    say(`✕ Delete failed — ${err.message}`, true);
+  }
+  renderList();
+}
+
+/** Side-by-side table of the checked takes' summaries. */
+function compareTakes() {
+  const takes = checkedTakes();
+  const num   = (v, f) => (v == null ? '-' : f(v));
+  const rows  = [
+    ['DURATION', t => t.duration.toFixed(2) + 's'],
+    ['FRAMES',   t => String(t.frameCount)],
+    ['FPS',      t => t.fps.toFixed(1)],
+    ['HANDS',    t => t.hands.map(h => h[0]).join('+') || '-'],
+    ['GAPS',     t => String(t.gaps)],
+    ['TRAVEL',   t => num(t.travel,    v => (v * 100).toFixed(1) + 'cm')],
+    ['PEAK',     t => num(t.peakSpeed, v => v.toFixed(2) + 'm/s')],
+  ];
+
+  const table = el('table');
+  const head  = el('tr');
+  head.append(el('th'), ...takes.map(t => Object.assign(el('th', '', t.name), { title: t.name })));
+  table.append(head, ...rows.map(([label, fmt]) => {
+    const tr = el('tr');
+    tr.append(el('th', '', label), ...takes.map(t => el('td', '', fmt(t))));
+    return tr;
+  }));
+  getTakesDom().table.replaceChildren(table);
+}
+
+async function exportChecked() {
+  const picked = checkedTakes();
+  try {
+    const frames = await Promise.all(picked.map(t => getFrames(t.id)));
+    openExport(picked.map((t, i) => ({ name: t.name, frames: frames[i] ?? [], edit: t.edit })));
+  } catch (err) {
+    say(`✕ Could not read takes — ${err.message}`, true);
+  }
+}
+
+// ─── Saving new takes ───────────────────────────────────────────────
+/** 'take' from the recorder: store anything that is not stored yet. */
+async function onTake(e) {
+  if (recTake.id !== null) {
+    renderList();
+    return;
+  }
+
+  const frames = recFrames;
+  const name   = e.detail.name || nextTakeName();
+  recTake.name = name;
+
+  try {
+    const meta = { name, ...summarise(frames), thumb: thumbnail(frames), edit: recTake.edit };
+    const take = await addTake(meta, frames);
+    if (recFrames === frames) recTake.id = take.id;
+    _takes.unshift(take);
+    say(`Saved “${name}”`);
+  } catch (err) {
+    say(`✕ “${name}” not saved — ${err.message}`, true);
+  }
+  renderList();
+}
+
+/** 'edit' from the take editor: store it with the selected take, shortly. */
+function onEdit() {
+  const { id, edit } = recTake;
+  if (id === null) return;
+
+  clearTimeout(_editTimer);
+  _editTimer = setTimeout(async () => {
+    try {
+      const take = await updateTake(id, { edit });
+      const i    = _takes.findIndex(t => t.id === id);
+      if (take && i >= 0) _takes[i] = take;
+    } catch (err) {
+      say(`✕ Edit not saved — ${err.message}`, true);
+    }
+  }, EDIT_SAVE);
+}
+
+// ─── Public API ─────────────────────────────────────────────────────
+/** Wires the panel, reads the library and selects the newest take. */
+export async function initTakes() {
+  const d = getTakesDom();
+
+  d.open.addEventListener('click',  () => d.panel.classList.toggle('visible'));
+  d.close.addEventListener('click', () => d.panel.classList.remove('visible'));
+  d.cmp.addEventListener('click', compareTakes);
+  d.exp.addEventListener('click', exportChecked);
+  recEvents.addEventListener('take', onTake);
+  recEvents.addEventListener('edit', onEdit);
+
+  try {
+    _takes = await listTakes();
+  } catch (err) {
+    say(`✕ Take library unavailable — ${err.message}`, true);
+  }
+  renderList();
+
+  if (_takes.length && !recFrames.length) selectTake(_takes[0]);
+}
@@ -0,0 +1,108 @@
+/**
+ * takestore.js
+ * Persistent storage of takes in IndexedDB (database 'handtrack').
+ *
+ *  - 'takes'  : one small record per take, { id, name, created, ... }
+ *               plus whatever summary takes.js stores (duration, frame
+ *               count, thumbnail). Listing the library only reads these.
+ *  - 'frames' : the frame array of each take, keyed by the same id, read
+ *               only when a take is loaded or exported.
+ *
+ * Every function returns a Promise and rejects with the IndexedDB error
+ * (e.g. quota exceeded, storage disabled); callers report it. No DOM.
+ */
+
+const DB_NAME    = 'handtrack';
+const DB_VERSION = 1;
+const META       = 'takes';
+const FRAMES     = 'frames';
+
+let _db = null; // Promise<IDBDatabase>, opened once
+
+// ─── Helpers ────────────────────────────────────────────────────────
+function openDb() {
+  if (_db) return _db;
+  _db = new Promise((resolve, reject) => {
+    if (!globalThis.indexedDB) {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      req.result.createObjectStore(META, { keyPath: 'id', autoIncrement: true });
+      req.result.createObjectStore(FRAMES);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror   = () => reject(req.error);
+  });
+  _db.catch(() => { _db = null; }); // allow a retry on the next call
+  return _db;
+}
+
+/**
+ * Runs `fn(takes, frames)` in one transaction and resolves with its
+ * return value once the transaction has committed. `fn` may return an
+ * IDBRequest, in which case its result is used.
+ */
+async function run(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx  = db.transaction([META, FRAMES], mode);
+    const out = fn(tx.objectStore(META), tx.objectStore(FRAMES));
+    tx.oncomplete = () => resolve(out instanceof IDBRequest ? out.result : out);
+    tx.onerror    = () => reject(tx.error);
+    tx.onabort    = () => reject(tx.error ?? new Error('transaction aborted'));
+  });
+}
+
+// ─── Public API ─────────────────────────────────────────────────────
+/** All take records, newest first. */
+export async function listTakes() {
+  const all = await run('readonly', takes => takes.getAll());
+  return all.sort((a, b) => b.created - a.created);
+}
+
+/** @returns {Promise<Array<object>|undefined>} The frames of take `id`. */
+export function getFrames(id) {
+  return run('readonly', (_, frames) => frames.get(id));
+}
+
+/**
+ * Stores a new take.
+ * @param {object} meta - Record without `id`; `created` is filled in.
+ * @param {Array<object>} frames
+ * @returns {Promise<object>} The stored record, with its new `id`.
+ */
+export function addTake(meta, frames) {
+  const record = { created: Date.now(), ...meta };
+  return run('readwrite', (takes, store) => {
+    takes.add(record).onsuccess = e => {
+      record.id = e.target.result;
+      store.put(frames, record.id);
+    };
+    return record;
+  });
+}
+
+/**
+ * Merges `patch` into the record of take `id`.
+ * @returns {Promise<object>} The updated record.
+ */
+export function updateTake(id, patch) {
+  let record;
+  return run('readwrite', takes => {
+    takes.get(id).onsuccess = e => {
+      if (!e.target.result) return;
+      record = { ...e.target.result, ...patch, id };
+      takes.put(record);
+    };
+  }).then(() => record);
+}
+
+/** Removes take `id` and its frames. */
+export function deleteTake(id) {
+  return run('readwrite', (takes, frames) => {
+    takes.delete(id);
+    frames.delete(id);
+  });
+}
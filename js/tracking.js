@@ -4,129 +4,396 @@
  *
  * Architecture:
  *  - Uses setTimeout (NOT requestAnimationFrame) so it never blocks the GPU.
- *  - Re-schedules itself AFTER inference completes → no frame stacking.
- *  - Rate is configurable via opts.mpFPS (default 20fps).
- *  - Writes raw positions to rawBuf (Float32Array) in smoothing.js.
- *  - Sets state.detected; stops recording if hand is lost.
+ *  - Re-schedules itself AFTER inference completes → no frame stacking;
+ *    the time the pass took counts towards the interval.
+ *  - Rate is configurable via opts.mpFPS (default 20fps), or chosen by
+ *    adaptive.js (opts.mpAuto) from each pass's duration, along with the
+ *    model complexity.
+ *  - Writes raw positions to rawBuf (Float32Array per hand) in smoothing.js,
+ *    and MediaPipe's metric world landmarks to worldBuf. Depth is scaled
+ *    by the active hand profile's factor (profiles.js).
+ *  - Assigns each detection to a stable handedness slot (see assignHands).
+ *  - Sets state.detected / state.present (recording.js decides whether a
+ *    dropout ends the take).
+ *  - Reports every result's latency and each pass without a result to
+ *    quality.js, before handing the result to recording.js
+ *    (captureResult) with the time its video frame was sent, for
+ *    inference-rate capture.
+ *  - Runs the model in a Web Worker (offthread.js) when opts.mpWorker is
+ *    on and the worker starts; otherwise, or once it fails, on the main
+ *    thread with the Hands solution. Both deliver to the same onResults.
  */
 
-import { NJ, opts }        from './config.js';
+import { NJ, HANDS,
+         MAX_HANDS, opts } from './config.js';
 import { state }           from './state.js';
-import { rawBuf }          from './smoothing.js';
-import { DOM, setHandData } from './ui.js';
-import { stopRec }         from './recording.js';
+import { rawBuf, rawSeq,
+         worldBuf }        from './smoothing.js';
+import { DOM, setHandData,
+         setQualityData }  from './ui.js';
+import { updateGestures, resetGestures,
+         publishGestures } from './gestures.js';
+import { captureResult }   from './recording.js';
+import { depthFactor }     from './profiles.js';
+import { noteSend, inferenceRate,
+         modelComplexity,
+         setOffThread }    from './adaptive.js';
+import { noteResult, noteDropped, telemetry,
+         handQuality,
+         steadyLandmarks } from './quality.js';
+import { createInferenceWorker } from './offthread.js';
 
 // ─── Internal state ─────────────────────────────────────────────────
-let _hands    = null; // Hands instance (MediaPipe)
+let _hands    = null; // Hands instance (MediaPipe), when on the main thread
+let _worker   = null; // InferenceWorker (offthread.js), when off it
+let _switch   = Promise.resolve(); // backend change in progress
+let _switching = false;
+let _workerError = ''; // why the worker is not in use although opts.mpWorker is on
 let _timeout  = null; // setTimeout handle
 let _running  = false;
+let _inflight = null; // promise of the pass in progress
+let _sentAt   = 0;    // performance.now() when the live frame in flight was sent
+let _answered = false; // onResults ran for the frame in flight
+let _complexity = 0;   // modelComplexity the Hands instance runs with
+
+// ─── Constants ──────────────────────────────────────────────────────
+/** Minimum pause between passes, so the render loop always gets a turn */
+const MIN_GAP_MS = 8;
+
+/** Dispatches 'change' whenever the inference backend changes. */
+export const backendEvents = new EventTarget();
+
+// ─── Backends ───────────────────────────────────────────────────────
+function videoReady() {
+  const video = DOM.video;
+  return new Promise(resolve => {
+    if (video.readyState >= 2) { resolve(); return; }
+    video.addEventListener('loadeddata', resolve, { once: true });
+  });
+}
+
+/**
+ * Loads the Hands solution and warms up the model
+ * (first inference call is slow; doing it up front hides the lag).
+ */
+async function startMainThread() {
+  const hands = new window.Hands({
+    locateFile: f =>
+      `https://cdn.jsdelivr.net/npm/@mediapipe/hands@0.4.1646424915/${f}`,
+  });
+
+  hands.setOptions({
+    maxNumHands:             MAX_HANDS,
+    modelComplexity:         0,   // 0 = lite/fast; 1 = full accuracy
+    minDetectionConfidence:  0.65,
+    minTrackingConfidence:   0.5,
+  });
+  _complexity = 0;
+
+  hands.onResults(onResults);
+
+  // Warm-up: errors here are non-fatal. _sentAt 0 keeps its time
+  // (model compilation) out of telemetry and takes.
+  await videoReady();
+  _sentAt = 0;
+  try { await hands.send({ image: DOM.video }); } catch (_) {}
+  _hands = hands;
+}
+
+/** Starts the worker and warms it up; false if it cannot run here. */
+async function startWorker() {
+  let worker = null;
+  try {
+    worker = await createInferenceWorker(onResults);
+    await videoReady();
+    _sentAt = 0; // warm-up, as on the main thread
+    await worker.send(DOM.video, performance.now());
+    _worker = worker;
+    return true;
+  } catch (err) {
+    worker?.close();
+    _workerError = err.message;
+    console.warn('[tracking] Worker inference unavailable, using the main thread:', err);
+    return false;
+  }
+}
+
+/** Brings the backend in line with opts.mpWorker. Only call while no pass is in flight. */
+async function useBackend() {
+  const offThread = opts.mpWorker && !_workerError;
+
+  if (offThread && !_worker) {
+    if (await startWorker() && _hands) {
+      _hands.close();
+      _hands = null;
+    }
+  } else if (!offThread && _worker) {
+    _worker.close();
+    _worker = null;
+  }
+  if (!_worker && !_hands) await startMainThread();
+
+  setOffThread(!!_worker);
+  backendEvents.dispatchEvent(new Event('change'));
+}
+
+/** Queues a backend change after any in progress. */
+function switchBackend() {
+  _switch = _switch
+    .then(() => { _switching = true; return useBackend(); })
+    .catch(err => console.error('[tracking] No inference backend:', err))
+    .finally(() => { _switching = false; });
+  return _switch;
+}
+
+/** Falls back to the main thread if the worker has crashed. */
+function checkWorker() {
+  if (!_worker?.failed) return false;
+  _worker.close();
+  _worker      = null;
+  _workerError = 'the worker stopped';
+  switchBackend();
+  return true;
+}
+
+/** One pass on `image` with whichever backend is in use. */
+function send(image) {
+  return _worker ? _worker.send(image, _sentAt) : _hands.send({ image });
+}
 
 // ─── Inference loop ─────────────────────────────────────────────────
-function schedule() {
-  _timeout = setTimeout(runInference, 1000 / opts.mpFPS);
+/** @param {number} [busyMs] - Time the last pass already took, ms. */
+function schedule(busyMs = 0) {
+  _timeout = setTimeout(runInference, Math.max(MIN_GAP_MS, 1000 / inferenceRate() - busyMs));
 }
 
 async function runInference() {
   const video = DOM.video;
 
-  if (!_running || !_hands || video.readyState < 2) {
+  if (!_running) return; // stopped — startMPLoop() will reschedule
+
+  if (_switching || (!_hands && !_worker) || video.readyState < 2) {
     schedule();
     return;
   }
 
+  // The worker's model is fixed (adaptive.js knows)
+  const complexity = modelComplexity();
+  if (_hands && complexity !== _complexity) {
+    _complexity = complexity;
+    _hands.setOptions({ modelComplexity: complexity });
+  }
+
   try {
-    await _hands.send({ image: video });
+    _sentAt   = performance.now();
+    _answered = false;
+    _inflight = send(video);
+    await _inflight;
   } catch (_) {
     // Silently ignore transient inference errors
+  } finally {
+    _inflight = null;
   }
+  const busy = performance.now() - _sentAt;
+  if (_answered) noteSend(busy);
+  else           noteDropped();
+  checkWorker();
 
   // Schedule the NEXT frame only after the current one finishes.
   // This prevents stacking if inference takes longer than the interval.
-  schedule();
+  if (_running) schedule(busy);
+}
+
+// ─── Hand identity ───────────────────────────────────────────────────
+// MediaPipe's handedness label can flip for a frame or two (hands crossing,
+// side-on poses, both hands reported as the same label). Each detection is
+// therefore matched to a slot by wrist continuity first, and by label only
+// when a slot has no previous position to compare against.
+
+/** Cost of a detection whose label disagrees with the slot */
+const LABEL_COST    = 0.05;
+/** Cost of opening a slot that was not tracked on the previous result */
+const NEW_SLOT_COST = 0.25;
+
+/** Last wrist position per slot, in normalised image coordinates */
+const _lastWrist = Object.fromEntries(
+  HANDS.map(h => [h, { x: 0, y: 0, seen: false }]),
+);
+
+function slotCost(lms, label, slot) {
+  const w    = _lastWrist[slot];
+  const base = w.seen ? Math.hypot(lms[0].x - w.x, lms[0].y - w.y) : NEW_SLOT_COST;
+  return base + (label === slot ? 0 : LABEL_COST);
+}
+
+/**
+ * Returns one slot label per detection, picking the cheapest
+ * one-to-one assignment (at most 2 × 2, so brute force is fine).
+ */
+function assignHands(hands, handedness) {
+  const [a, b] = HANDS;
+  const la     = handedness[0]?.label;
+
+  if (hands.length === 1) {
+    return [slotCost(hands[0], la, a) <= slotCost(hands[0], la, b) ? a : b];
+  }
+
+  const lb       = handedness[1]?.label;
+  const straight = slotCost(hands[0], la, a) + slotCost(hands[1], lb, b);
+  const swapped  = slotCost(hands[0], la, b) + slotCost(hands[1], lb, a);
+  return straight <= swapped ? [a, b] : [b, a];
 }
 
 // ─── MediaPipe result callback ───────────────────────────────────────
 function onResults(results) {
   DOM.dMp.classList.add('on');
+  _answered = true;
 
-  if (results.multiHandLandmarks?.length > 0) {
-    const lms   = results.multiHandLandmarks[0];
-    const scale = opts.scale;
+  // Playback owns the skeleton — drop live results until it ends.
+  if (state.isPlaying) return;
+
+  const hands = (results.multiHandLandmarks ?? []).slice(0, MAX_HANDS);
+  const world = results.multiHandWorldLandmarks ?? [];
+  const hdn   = results.multiHandedness ?? [];
+  const slots = hands.length > 0 ? assignHands(hands, hdn) : [];
+  const scale = opts.scale;
+  const depth = depthFactor(); // hand profile, or the default
+  const now   = performance.now() / 1000;
+  const feats = {};
+
+  for (const hand of HANDS) {
+    const k = slots.indexOf(hand);
+
+    if (k < 0) {
+      if (state.present[hand]) resetGestures(hand, now);
+      state.present[hand]    = false;
+      state.firstFrame[hand] = false;
+      state.world[hand]      = false;
+      state.score[hand]      = 0;
+      _lastWrist[hand].seen  = false;
+      continue;
+    }
+
+    const lms = hands[k];
+    const buf = rawBuf[hand];
 
     // Write to rawBuf — flat Float32Array, cache friendly
     for (let i = 0; i < NJ; i++) {
       const b = i * 3;
-      rawBuf[b]     = -(lms[i].x - 0.5) * scale;
-      rawBuf[b + 1] = -(lms[i].y - 0.5) * scale;
-      rawBuf[b + 2] = -lms[i].z * 0.8;
+      buf[b]     = -(lms[i].x - 0.5) * scale;
+      buf[b + 1] = -(lms[i].y - 0.5) * scale;
+      buf[b + 2] = -lms[i].z * depth;
     }
 
-    state.detected = true;
-    setHandData(true, countFingers(lms), results.multiHandedness[0]?.label ?? '-');
-  } else {
-    state.detected    = false;
-    state.firstFrame  = false;
-    setHandData(false, '-', '-');
-    if (state.isRecording) stopRec();
-  }
-}
+    // World landmarks: metres around the hand centre, independent of
+    // framing and opts.scale. Same axis flips as above, no scaling.
+    const wl = world[k];
+    state.world[hand] = !!wl;
+    if (wl) {
+      const wb = worldBuf[hand];
+      for (let i = 0; i < NJ; i++) {
+        const b = i * 3;
+        wb[b]     = -wl[i].x;
+        wb[b + 1] = -wl[i].y;
+        wb[b + 2] = -wl[i].z;
+      }
+    }
 
-// ─── Finger count heuristic ──────────────────────────────────────────
-function countFingers(lms) {
-  // Tip indices: [4, 8, 12, 16, 20], PIP indices: [3, 6, 10, 14, 18]
-  const tips = [8, 12, 16, 20];
-  const pips = [6, 10, 14, 18];
+    rawSeq[hand]++;
+    state.score[hand] = hdn[k]?.score ?? 0;
 
-  // Thumb: compare x instead of y (orientation-dependent)
-  let count = lms[4].x < lms[3].x ? 1 : 0;
+    _lastWrist[hand].x    = lms[0].x;
+    _lastWrist[hand].y    = lms[0].y;
+    _lastWrist[hand].seen = true;
+    state.present[hand]   = true;
 
-  for (let i = 0; i < 4; i++) {
-    if (lms[tips[i]].y < lms[pips[i]].y) count++;
+    feats[hand] = updateGestures(hand, lms, wl, now);
+  }
+
+  if (hands.length > 0) {
+    // Status bar lists hands in slot order: "LEFT | RIGHT", "2 | 5"
+    const order = HANDS.filter(h => state.present[h]);
+    state.detected = true;
+    setHandData(
+      order.length,
+      order.map(h => feats[h].fingers).join(' | '),
+      order.join(' | '),
+    );
+    publishGestures(order, now);
+  } else {
+    state.detected = false;
+    setHandData(0, '-', '-');
+    publishGestures([], now);
   }
 
-  return count;
+  // _sentAt is 0 for warm-up passes, whose time is model compilation
+  if (_sentAt > 0) noteResult(performance.now() - _sentAt);
+  const present = HANDS.filter(h => state.present[h]);
+  setQualityData(
+    present.reduce((n, h) => n + steadyLandmarks(h), 0),
+    present.map(handQuality),
+    telemetry.latency,
+    telemetry.dropped,
+  );
+
+  captureResult(_sentAt);
 }
 
 // ─── Public API ─────────────────────────────────────────────────────
 
 /**
- * Initialises MediaPipe Hands and warms up the model
- * (first inference call is slow; doing it during loading hides the lag).
+ * Starts inference — in a worker if opts.mpWorker allows, else on the
+ * main thread — and warms up the model. Call after loadPrefs().
  */
 export async function initTracking() {
-  _hands = new window.Hands({
-    locateFile: f =>
-      `https://cdn.jsdelivr.net/npm/@mediapipe/hands@0.4.1646424915/${f}`,
-  });
-
-  _hands.setOptions({
-    maxNumHands:             1,
-    modelComplexity:         0,   // 0 = lite/fast; 1 = full accuracy
-    minDetectionConfidence:  0.65,
-    minTrackingConfidence:   0.5,
-  });
-
-  _hands.onResults(onResults);
-
-  // Warm-up: run one inference so the model is compiled before the user
-  // sees the live feed. Errors here are non-fatal.
-  const video = DOM.video;
-  await new Promise(resolve => {
-    if (video.readyState >= 2) { resolve(); return; }
-    video.addEventListener('loadeddata', resolve, { once: true });
-  });
-
-  try { await _hands.send({ image: video }); } catch (_) {}
+  await switchBackend();
 }
 
 /** Starts the independent inference loop. Call after initTracking(). */
 export function startMPLoop() {
+  if (_running) return;
   _running = true;
-  schedule();
+  // opts.mpWorker may have changed while stopped
+  switchBackend().then(() => {
+    if (!_running) return;
+    clearTimeout(_timeout);
+    schedule();
+  });
+}
+
+/**
+ * Stops the timed inference loop and waits for any in-flight inference
+ * to finish, so the caller can drive inference itself (see inferFrame).
+ */
+export async function stopMPLoop() {
+  _running = false;
+  if (_timeout) clearTimeout(_timeout);
+  try { await _inflight; } catch (_) {}
+}
+
+/**
+ * Runs one inference pass on `image` outside the timed loop.
+ * Resolves after onResults has updated rawBuf / state.present.
+ * Only call while the loop is stopped.
+ *
+ * @param {HTMLVideoElement|HTMLCanvasElement|ImageBitmap} image
+ */
+export async function inferFrame(image) {
+  await _switch;
+  _sentAt = performance.now();
+  try {
+    await send(image);
+  } catch (err) {
+    if (!checkWorker()) throw err;
+    await _switch; // retry the frame on the main thread
+    _sentAt = performance.now();
+    await send(image);
+  }
 }
 
 /**
- * Updates the inference rate on-the-fly (called by settings slider).
+ * Updates the inference rate on-the-fly (called by settings slider, and
+ * with opts.mpFPS when auto rate is switched).
  * @param {number} fps - New target FPS.
  */
 export function setMPRate(fps) {
@@ -134,3 +401,34 @@ export function setMPRate(fps) {
   opts.mpFPS = fps;
   if (_running) schedule();
 }
+
+/**
+ * Moves inference into the worker or back to the main thread (called by
+ * the settings toggle with opts.mpWorker). A worker that failed stays
+ * failed until this turns it off; turning it on again retries it. While
+ * the loop is stopped the switch waits for startMPLoop().
+ * @param {boolean} on
+ */
+export async function setWorkerInference(on) {
+  opts.mpWorker = on;
+  if (!on) _workerError = '';
+  if (!_running) return;
+  await stopMPLoop();
+  startMPLoop();
+  await _switch;
+}
+
+/**
+ * The backend in use, for display.
+ * @returns {{ worker: boolean, transport: string, delegate: string, error: string }}
+ *   transport / delegate as offthread.js reports them; error says why the
+ *   worker is not in use although opts.mpWorker is on.
+ */
+export function inferenceBackend() {
+  return {
+    worker:    !!_worker,
+    transport: _worker?.transport ?? '',
+    delegate:  _worker?.delegate ?? '',
+    error:     opts.mpWorker ? _workerError : '',
+  };
+}
@@ -0,0 +1,130 @@
+/**
+ * triggers.js
+ * Hands-free recording control through gestures (opts.gestureRec).
+ *
+ *  - Hold opts.gestureStart (open palm) for opts.gestureHoldSec:
+ *    a countdown overlay runs, then startRec() is called.
+ *  - Show opts.gestureStop (fist) while recording: stopRec().
+ *
+ * The trigger poses themselves are trimmed from the take: frames while
+ * the start pose is still held after the countdown, and frames from the
+ * moment the hand started closing into the stop pose.
+ */
+
+import { opts }                        from './config.js';
+import { state }                       from './state.js';
+import { gestureEvents }               from './gestures.js';
+import { startRec, stopRec, recEvents,
+         recElapsed, trimTake }        from './recording.js';
+
+/**
+ * Static poses are reported a few results after they form (debounce),
+ * so trims reach back this far to drop the transition as well (s).
+ */
+const START_LEAD = 0.15;
+const STOP_LEAD  = 0.4;
+
+// ─── State ──────────────────────────────────────────────────────────
+let _countHand  = null;  // hand holding the start pose during countdown
+let _countStart = 0;     // performance.now() when the countdown began
+let _countTimer = null;
+let _triggered  = false; // current take was started by gesture
+let _trimFrom   = 0;     // take time at which the start pose was released
+let _trimTo     = Infinity;
+
+// ─── Cached DOM refs ────────────────────────────────────────────────
+let _dom = null;
+
+function getTrigDom() {
+  if (_dom) return _dom;
+  const $ = id => document.getElementById(id);
+  _dom = {
+    overlay: $('gcd'),
+    num:     $('gcd-n'),
+    bar:     $('gcd-b'),
+    label:   $('gcd-l'),
+  };
+  return _dom;
+}
+
+// ─── Countdown ──────────────────────────────────────────────────────
+function startCountdown(hand) {
+  const d = getTrigDom();
+  _countHand  = hand;
+  _countStart = performance.now();
+  d.label.textContent = 'HOLD TO RECORD';
+  d.overlay.classList.add('visible');
+  _countTimer = setInterval(tickCountdown, 50);
+  tickCountdown();
+}
+
+function cancelCountdown() {
+  clearInterval(_countTimer);
+  _countTimer = null;
+  _countHand  = null;
+  getTrigDom().overlay.classList.remove('visible');
+}
+
+function tickCountdown() {
+  const d    = getTrigDom();
+  const left = opts.gestureHoldSec - (performance.now() - _countStart) / 1000;
+
+  if (left > 0) {
+    d.num.textContent = left.toFixed(1);
+    d.bar.style.width = (100 - (left / opts.gestureHoldSec) * 100) + '%';
+    return;
+  }
+
+  cancelCountdown();
+  _triggered = true;
+  _trimFrom  = 0;
+  _trimTo    = Infinity;
+  startRec();
+  if (!state.isRecording) _triggered = false;
+}
+
+// ─── Gesture handling ───────────────────────────────────────────────
+function onGesture(e) {
+  const { hand, name, kind } = e.detail;
+  if (!opts.gestureRec || kind !== 'static' || state.isCalibrating) return;
+
+  // Countdown: any change on the counting hand cancels it
+  if (_countHand !== null) {
+    if (hand === _countHand && name !== opts.gestureStart) cancelCountdown();
+    return;
+  }
+
+  if (!state.isRecording) {
+    if (name === opts.gestureStart && !state.isPlaying) startCountdown(hand);
+    return;
+  }
+
+  // Recording: first release of the start pose marks the real start
+  if (_triggered && _trimFrom === 0 && name !== opts.gestureStart) {
+    _trimFrom = Math.max(0, recElapsed() - START_LEAD);
+  }
+
+  if (name === opts.gestureStop) {
+    _trimTo = recElapsed() - STOP_LEAD;
+    stopRec();
+  }
+}
+
+function onRecStop() {
+  if (_triggered || _trimTo !== Infinity) trimTake(_trimFrom, _trimTo);
+  _triggered = false;
+  _trimFrom  = 0;
+  _trimTo    = Infinity;
+}
+
+// ─── Public API ─────────────────────────────────────────────────────
+/** Subscribes to gesture and recorder events. */
+export function initTriggers() {
+  gestureEvents.addEventListener('gesture', onGesture);
+  recEvents.addEventListener('stop', onRecStop);
+}
+
+/** Cancels a pending countdown (e.g. when the feature is switched off). */
+export function cancelTriggers() {
+  if (_countHand !== null) cancelCountdown();
+}
@@ -19,13 +19,19 @@ export const DOM = {
   dCam:          $('d-cam'),
   dMp:           $('d-mp'),
   dHand:         $('d-hand'),
+  dWs:           $('d-ws'),
+  dOsc:          $('d-osc'),
   dStatus:       $('d-status'),
 
   // Bottom bar spans
   bLm:           $('b-lm'),
   bFi:           $('b-fi'),
   bHa:           $('b-ha'),
+  bGe:           $('b-ge'),
   bSm:           $('b-sm'),
+  bQ:            $('b-q'),
+  bQb:           $('b-qb'),
+  bInf:          $('b-inf'),
 
   // FPS badge
   fps:           $('fps'),
@@ -45,6 +51,10 @@ export function setProgress(pct, msg) {
 // ─── FPS counter ────────────────────────────────────────────────────
 let _fpsLast  = 0;
 let _fpsCount = 0;
+let _fps      = 0;
+
+/** Render FPS as last shown on the badge (0 until measured). */
+export const renderFPS = () => _fps;
 
 /**
  * Call once per render frame with the rAF timestamp.
@@ -55,7 +65,7 @@ export function tickFPS(now) {
 
   if (now - _fpsLast < 600) return;
 
-  const fps = Math.round(_fpsCount / ((now - _fpsLast) / 1000));
+  const fps = _fps = Math.round(_fpsCount / ((now - _fpsLast) / 1000));
   _fpsCount = 0;
   _fpsLast  = now;
 
@@ -65,13 +75,40 @@ export function tickFPS(now) {
 
 // ─── Throttled hand-state UI ─────────────────────────────────────────
 /** Staging object written by tracking.js, read by updateUI(). */
-const _pending = { detected: false, fingers: '-', label: '-' };
+const _pending = {
+  hands: 0, fingers: '-', label: '-', gesture: '-',
+  steady: 0, quality: [], latency: 0, dropped: 0,
+};
 
-/** Called by tracking.js whenever MediaPipe produces a result. */
-export function setHandData(detected, fingers, label) {
-  _pending.detected = detected;
-  _pending.fingers  = fingers;
-  _pending.label    = label;
+/**
+ * Called by tracking.js whenever MediaPipe produces a result.
+ * @param {number} hands   - Number of hands currently tracked.
+ * @param {string} fingers - Finger count(s), one per hand.
+ * @param {string} label   - Handedness label(s), one per hand.
+ */
+export function setHandData(hands, fingers, label) {
+  _pending.hands   = hands;
+  _pending.fingers = fingers;
+  _pending.label   = label;
+}
+
+/**
+ * Called by tracking.js with the telemetry of each result (quality.js).
+ * @param {number}   steady  - Landmarks steady enough to count as tracked.
+ * @param {number[]} quality - Tracking quality (0–1), one per hand.
+ * @param {number}   latency - Smoothed inference latency, ms.
+ * @param {number}   dropped - Inference passes without a result so far.
+ */
+export function setQualityData(steady, quality, latency, dropped) {
+  _pending.steady  = steady;
+  _pending.quality = quality;
+  _pending.latency = latency;
+  _pending.dropped = dropped;
+}
+
+/** Called by gestures.js with the gesture label(s) to display. */
+export function setGestureData(label) {
+  _pending.gesture = label;
 }
 
 let _uiTick = 0;
@@ -85,15 +122,26 @@ export function updateUI() {
   if (++_uiTick < 8) return;
   _uiTick = 0;
 
-  if (_pending.detected) {
+  DOM.bInf.textContent = `${Math.round(_pending.latency)}MS · ${_pending.dropped} DROPPED`;
+
+  if (_pending.hands > 0) {
+    // The meter shows the weakest hand
+    const q = Math.min(1, ..._pending.quality);
     DOM.dHand.classList.add('on');
-    DOM.bLm.textContent = '21';
+    DOM.bLm.textContent = String(_pending.steady);
+    DOM.bQ.textContent  = _pending.quality.map(v => Math.round(v * 100) + '%').join(' | ');
+    DOM.bQb.style.width = q * 100 + '%';
+    DOM.bQb.className   = q >= 0.7 ? 'good' : q >= 0.4 ? 'mid' : 'bad';
     DOM.bFi.textContent = _pending.fingers;
     DOM.bHa.textContent = _pending.label;
+    DOM.bGe.textContent = _pending.gesture;
   } else {
     DOM.dHand.classList.remove('on');
     DOM.bLm.textContent = '0';
+    DOM.bQ.textContent  = '-';
+    DOM.bQb.style.width = '0%';
     DOM.bFi.textContent = '-';
     DOM.bHa.textContent = '-';
+    DOM.bGe.textContent = '-';
   }
 }
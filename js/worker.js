@@ -0,0 +1,106 @@
+/**
+ * worker.js
+ * Inference worker started by offthread.js. Runs MediaPipe Tasks'
+ * HandLandmarker on the ImageBitmaps it is sent and packs every result
+ * into the result array (layout in offthread.js). Tasks has one model,
+ * so there is no modelComplexity to set (see offthread.js).
+ *
+ * Messages in:   { type: 'init', shared: SharedArrayBuffer|null }
+ *                { type: 'frame', bitmap, t, buffer? }
+ * Messages out:  { type: 'ready', delegate } | { type: 'error', message }
+ *                  — an error after 'ready' means the worker is unusable
+ *                { type: 'result', buffer? } — buffer when not shared
+ */
+
+import { NJ, MAX_HANDS }     from './config.js';
+import { HAND_FLOATS,
+         TASKS_URL,
+         MODEL_URL }         from './offthread.js';
+
+let _landmarker = null;
+let _shared     = null; // Float32Array over the SharedArrayBuffer, if any
+
+// ─── Model ──────────────────────────────────────────────────────────
+/**
+ * Loads the model, on the GPU (WebGL2 on an OffscreenCanvas) where
+ * possible, else on the CPU. Same thresholds as the main-thread solution.
+ * @returns {Promise<string>} The delegate in use.
+ */
+async function init() {
+  const { FilesetResolver, HandLandmarker } = await import(`${TASKS_URL}/vision_bundle.mjs`);
+  const fileset = await FilesetResolver.forVisionTasks(`${TASKS_URL}/wasm`);
+
+  let lastErr = null;
+  for (const delegate of ['GPU', 'CPU']) {
+    try {
+      _landmarker = await HandLandmarker.createFromOptions(fileset, {
+        baseOptions:                { modelAssetPath: MODEL_URL, delegate },
+        runningMode:                'VIDEO',
+        numHands:                   MAX_HANDS,
+        minHandDetectionConfidence: 0.65,
+        minHandPresenceConfidence:  0.5,
+        minTrackingConfidence:      0.5,
+      });
+      return delegate;
+    } catch (err) {
+      lastErr = err;
+    }
+  }
+  throw lastErr;
+}
+
+// ─── Packing ────────────────────────────────────────────────────────
+function packPoints(pts, out, o) {
+  for (let i = 0; i < NJ; i++, o += 3) {
+    out[o]     = pts[i].x;
+    out[o + 1] = pts[i].y;
+    out[o + 2] = pts[i].z;
+  }
+}
+
+function pack(result, out) {
+  const n = Math.min(result.landmarks.length, MAX_HANDS);
+  // Older Tasks releases call it `handednesses`
+  const hdn = result.handedness ?? result.handednesses ?? [];
+  out[0] = n;
+  for (let k = 0; k < n; k++) {
+    const o = 1 + k * HAND_FLOATS;
+    const c = hdn[k]?.[0];
+    out[o]     = c?.categoryName === 'Right' ? 1 : 0;
+    out[o + 1] = c?.score ?? 0;
+    packPoints(result.landmarks[k], out, o + 2);
+    packPoints(result.worldLandmarks[k], out, o + 2 + NJ * 3);
+  }
+}
+
+// ─── Messages ───────────────────────────────────────────────────────
+self.addEventListener('message', async ({ data }) => {
+  if (data.type === 'init') {
+    _shared = data.shared ? new Float32Array(data.shared) : null;
+    try {
+      self.postMessage({ type: 'ready', delegate: await init() });
+    } catch (err) {
+      self.postMessage({ type: 'error', message: String(err?.message ?? err) });
+    }
+    return;
+  }
+
+  if (data.type !== 'frame') return;
+  const out = _shared ?? new Float32Array(data.buffer);
+  try {
+    pack(_landmarker.detectForVideo(data.bitmap, data.t), out);
+  } catch (_) {
+    out[0] = -1;
+  } finally {
+    data.bitmap.close();
+  }
+
+  if (_shared) self.postMessage({ type: 'result' });
+  else         self.postMessage({ type: 'result', buffer: out.buffer }, [out.buffer]);
+});
+
+// A frame that cannot be deserialized lost its bitmap and, without a
+// SharedArrayBuffer, the result buffer too — no result can be sent back
+self.addEventListener('messageerror', () => {
+  self.postMessage({ type: 'error', message: 'inference worker could not read a frame' });
+});
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+/**
+ * osc-bridge.mjs
+ * WebSocket → UDP bridge for the app's OSC output (js/osc.js).
+ *
+ *   node tools/osc-bridge.mjs [host:port] [ws-port]
+ *   (defaults: 127.0.0.1:9000, ws://localhost:8766; IPv6 hosts as
+ *   [::1]:9000)
+ *
+ * Browsers cannot open UDP sockets, so the app sends every OSC bundle as
+ * one binary WebSocket message; this forwards each one, byte for byte,
+ * as a UDP datagram to the OSC receiver (Max/MSP, Resolume, ...). Prints
+ * the bundle rate once per second and the address list of the first
+ * bundle, to help map them on the receiving side. No dependencies.
+ */
+
+import { createSocket } from 'node:dgram';
+import { listenWs }     from './ws-lite.mjs';
+
+/** Splits host:port on the last colon; an IPv6 host may be bracketed. */
+function parseTarget(arg) {
+  const i = arg.lastIndexOf(':');
+  if (i <= 0) throw new Error(`expected host:port, got "${arg}"`);
+  const host = arg.slice(0, i).replace(/^\[(.*)\]$/, '$1');
+  const port = Number(arg.slice(i + 1));
+  if (!host || !Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new Error(`expected host:port, got "${arg}"`);
+  }
+  return [host, port];
+}
+
+let HOST, UDP_PORT;
+try {
+  [HOST, UDP_PORT] = parseTarget(process.argv[2] ?? '127.0.0.1:9000');
+} catch (err) {
+  console.error(`osc-bridge: ${err.message}`);
+  process.exit(1);
+}
+const WS_PORT = Number(process.argv[3] ?? 8766);
+
+const udp = createSocket(HOST.includes(':') ? 'udp6' : 'udp4');
+
+// An unresolvable host or a failed send is logged (once per distinct
+// error, not per datagram) and the bridge keeps running, so a receiver
+// that comes up later still gets the bundles.
+let lastError = '';
+udp.on('error', err => {
+  if (err.message === lastError) return;
+  lastError = err.message;
+  console.error(`udp → ${HOST}:${UDP_PORT}: ${err.message}`);
+});
+
+// ─── Bundle inspection (logging only) ───────────────────────────────
+/** Addresses of the messages in an OSC bundle. */
+function addresses(buf) {
+  const out = [];
+  for (let o = 16; o + 4 <= buf.length;) {
+    const size = buf.readInt32BE(o);
+    const msg  = buf.subarray(o + 4, o + 4 + size);
+    out.push(msg.toString('ascii', 0, msg.indexOf(0)));
+    o += 4 + size;
+  }
+  return out;
+}
+
+// ─── Bridge ─────────────────────────────────────────────────────────
+listenWs(WS_PORT, (id, remote) => {
+  let count = 0;
+  let shown = false;
+  console.log(`[${id}] connected from ${remote}`);
+
+  const timer = setInterval(() => {
+    if (count) console.log(`[${id}] ${count} bundles/s → ${HOST}:${UDP_PORT}`);
+    count = 0;
+  }, 1000);
+
+  return {
+    onMessage(data) {
+      if (typeof data === 'string') return; // only binary bundles are OSC
+      udp.send(data, UDP_PORT, HOST);
+      count++;
+      if (!shown) {
+        shown = true;
+        console.log(`[${id}] first bundle: ${addresses(data).join(' ')}`);
+      }
+    },
+    onClose() {
+      clearInterval(timer);
+      console.log(`[${id}] disconnected`);
+    },
+  };
+});
+
+console.log(`Hand.Track 3D OSC bridge: ws://localhost:${WS_PORT} → udp://${HOST}:${UDP_PORT}`);
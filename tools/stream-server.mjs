@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/**
+ * stream-server.mjs
+ * Reference receiver for the live landmark stream (js/streaming.js).
+ *
+ *   node tools/stream-server.mjs [port]      (default 8765)
+ *
+ * Accepts WebSocket connections from the app, decodes both the JSON and
+ * the binary Float32 frames, and prints one summary line per second:
+ * message rate, hands in view with their confidence, and the index
+ * fingertip position. Use it to check a setup end to end, or as a
+ * starting point for a bridge into another tool. No dependencies.
+ */
+
+import { listenWs } from './ws-lite.mjs';
+
+const PORT      = Number(process.argv[2] ?? 8765);
+const INDEX_TIP = 8;
+
+// ─── Frame decoding ─────────────────────────────────────────────────
+/**
+ * Binary layout (little-endian Float32):
+ *   [seq, t, n, n × (id, score, lm×63, world×63)]
+ */
+function decodeBinary(buf, hello) {
+  const f     = new Float32Array(buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength));
+  const names = hello?.hands ?? ['Left', 'Right'];
+  const n     = f[2];
+  const per   = 2 + 63 * 2;
+  const hands = [];
+  for (let k = 0, o = 3; k < n; k++, o += per) {
+    hands.push({
+      hand:  names[f[o]],
+      score: Number.isNaN(f[o + 1]) ? null : f[o + 1],
+      lm:    f.subarray(o + 2, o + 65),
+      world: Number.isNaN(f[o + 65]) ? null : f.subarray(o + 65, o + 128),
+    });
+  }
+  return { seq: f[0], t: f[1], hands };
+}
+
+// ─── Per-connection receiver ────────────────────────────────────────
+function onMessage(conn, data) {
+  if (typeof data === 'string') {
+    const msg = JSON.parse(data);
+    if (msg.type === 'hello') {
+      conn.hello = msg;
+      console.log(`[${conn.id}] hello: ${msg.generator}, ${msg.format}, ${msg.landmarks.length} landmarks @ ${msg.fps}fps`);
+      return;
+    }
+    conn.last = msg;
+  } else {
+    conn.last = decodeBinary(data, conn.hello);
+  }
+  conn.count++;
+}
+
+function report(conn) {
+  const f = conn.last;
+  if (!f) return;
+  const hands = f.hands.map(h => {
+    const tip = h.lm.slice(INDEX_TIP * 3, INDEX_TIP * 3 + 3);
+    const pos = Array.from(tip, v => v.toFixed(3)).join(', ');
+    const sc  = h.score == null ? '—' : h.score.toFixed(2);
+    return `${h.hand} (${sc}) tip [${pos}]${h.world ? ' +world' : ''}`;
+  });
+  console.log(`[${conn.id}] ${conn.count} msg/s  seq ${f.seq}  t ${f.t.toFixed(2)}s  ${hands.join('  ') || 'no hands'}`);
+  conn.count = 0;
+}
+
+// ─── Server ─────────────────────────────────────────────────────────
+listenWs(PORT, (id, remote) => {
+  const conn  = { id, hello: null, last: null, count: 0 };
+  const timer = setInterval(() => report(conn), 1000);
+  console.log(`[${id}] connected from ${remote}`);
+
+  return {
+    onMessage: data => onMessage(conn, data),
+    onClose() {
+      clearInterval(timer);
+      console.log(`[${id}] disconnected`);
+    },
+  };
+});
+
+console.log(`Hand.Track 3D stream server on ws://localhost:${PORT}`);
@@ -0,0 +1,120 @@
+/**
+ * ws-lite.mjs
+ * Minimal WebSocket server for the reference tools (stream-server.mjs,
+ * osc-bridge.mjs) — no dependencies.
+ *
+ * Implements only what a receiver of the app's live outputs needs from
+ * RFC 6455: the upgrade handshake, masked client frames of any length,
+ * fragmented messages, ping → pong and the closing handshake. Nothing
+ * is ever sent to the client except control frames.
+ */
+
+import { createServer } from 'node:http';
+import { createHash }   from 'node:crypto';
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OP_CONT  = 0x0;
+const OP_TEXT  = 0x1;
+const OP_CLOSE = 0x8;
+const OP_PING  = 0x9;
+
+/** Splits the byte stream into WebSocket frames (client frames are masked). */
+function onData(conn, socket, chunk, onMessage) {
+  conn.buf = Buffer.concat([conn.buf, chunk]);
+
+  for (;;) {
+    const b = conn.buf;
+    if (b.length < 2) return;
+
+    const fin    = (b[0] & 0x80) !== 0;
+    const opcode = b[0] & 0x0f;
+    const masked = (b[1] & 0x80) !== 0;
+    let   len    = b[1] & 0x7f;
+    let   o      = 2;
+
+    if (len === 126) {
+      if (b.length < 4) return;
+      len = b.readUInt16BE(2); o = 4;
+    } else if (len === 127) {
+      if (b.length < 10) return;
+      len = Number(b.readBigUInt64BE(2)); o = 10;
+    }
+
+    const start = o + (masked ? 4 : 0);
+    if (b.length < start + len) return;
+
+    const payload = Buffer.from(b.subarray(start, start + len));
+    if (masked) {
+      for (let i = 0; i < payload.length; i++) payload[i] ^= b[o + (i & 3)];
+    }
+    conn.buf = b.subarray(start + len);
+
+    if (opcode === OP_CLOSE) {                   // echo and end
+      socket.end(Buffer.from([0x88, 0x00]));
+      return;
+    }
+    if (opcode === OP_PING) {                    // → pong
+      socket.write(Buffer.concat([Buffer.from([0x8a, payload.length]), payload]));
+      continue;
+    }
+    if (opcode !== OP_CONT) conn.opcode = opcode;
+    conn.parts.push(payload);
+    if (!fin) continue;
+
+    const data = Buffer.concat(conn.parts);
+    conn.parts = [];
+    onMessage(conn.opcode === OP_TEXT ? data.toString('utf8') : data);
+  }
+}
+
+/**
+ * Listens for WebSocket clients on `port`.
+ *
+ * @param {number} port
+ * @param {(id: number, remote: string) => {
+ *   onMessage: (data: string|Buffer) => void,
+ *   onClose?:  () => void,
+ * }} onConnect - Called per client; text messages arrive as strings,
+ *   binary ones as Buffers.
+ * @returns {import('node:http').Server}
+ */
+export function listenWs(port, onConnect) {
+  let nextId = 1;
+
+  const server = createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('Hand.Track 3D tool: connect with a WebSocket\n');
+  });
+
+  server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key) { socket.destroy(); return; }
+
+    const accept = createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '', '',
+    ].join('\r\n'));
+
+    const id      = nextId++;
+    const conn    = { buf: Buffer.alloc(0), parts: [], opcode: 0 };
+    const handler = onConnect(id, req.socket.remoteAddress);
+
+    socket.on('data', chunk => {
+      try {
+        onData(conn, socket, chunk, handler.onMessage);
+      } catch (err) {
+        console.error(`[${id}] bad message: ${err.message}`);
+      }
+    });
+    socket.on('error', () => {});
+    socket.on('close', () => handler.onClose?.());
+  });
+
+  server.listen(port);
+  return server;
+}